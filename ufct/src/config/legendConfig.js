@@ -0,0 +1,211 @@
+/**
+ * 图例配置 - 网络图的视觉编码说明
+ * Legend.vue 与导出的论文插图（networkFigure.js）共用，保证两处图例一致
+ * channel 标明该部分说明的是节点大小还是颜色，显示设置改用其他指标时整段替换
+ */
+
+import { NODE_ENCODINGS, DEFAULT_ENCODING, CATEGORY_COLORS, OTHER_CATEGORY_COLOR } from '../utils/nodeEncoding';
+
+export const LEGEND_CONFIG = {
+  /**
+   * 引用网络：节点大小与颜色编码被引次数，边宽编码引用次数
+   */
+  citation: {
+    subtitle: 'Visualization encoding based on citation data',
+    sections: [
+      {
+        type: 'size',
+        channel: 'size',
+        icon: '📊',
+        title: 'Node Size - Citation Count',
+        description: 'Node size is proportional to citation count. Larger nodes indicate papers with greater impact',
+        color: '#1f77b4',
+        items: [
+          { radius: 2, label: 'Low Impact', detail: '<100 citations' },
+          { radius: 5, label: 'Moderate Impact', detail: '100-1k citations' },
+          { radius: 10, label: 'High Impact', detail: '1k-10k citations' },
+          { radius: 15, label: 'Very High Impact', detail: '>10k citations' }
+        ]
+      },
+      {
+        type: 'gradient',
+        channel: 'color',
+        icon: '🎨',
+        title: 'Node Color - Citation Heat Distribution',
+        description: 'Colors range from cool (blue) to hot (red) to show citation heat. Redder colors indicate more citations',
+        stops: [
+          { offset: 0, color: 'hsl(240, 100%, 40%)' },
+          { offset: 25, color: 'hsl(200, 100%, 40%)' },
+          { offset: 50, color: 'hsl(60, 100%, 50%)' },
+          { offset: 75, color: 'hsl(30, 100%, 50%)' },
+          { offset: 100, color: 'hsl(0, 100%, 50%)' }
+        ],
+        stopLabels: ['Low Citations', 'Moderate Citations', 'High Citations', 'Very High Citations'],
+        swatches: [
+          { color: 'hsl(240, 100%, 40%)', label: 'Blue (0-100)' },
+          { color: 'hsl(180, 100%, 40%)', label: 'Cyan (100-1k)' },
+          { color: 'hsl(60, 100%, 50%)', label: 'Yellow (1k-5k)' },
+          { color: 'hsl(0, 100%, 50%)', label: 'Red (>5k)' }
+        ]
+      },
+      {
+        type: 'edge',
+        icon: '🔗',
+        title: 'Edge Weight - Citation Strength',
+        description: 'Edge thickness represents citation frequency between papers. Thicker edges indicate more citations',
+        items: [
+          { width: 0.5, stroke: '#999', opacity: 0.7, label: 'Thin Edge (1-2 citations)' },
+          { width: 1.5, stroke: '#666', opacity: 0.8, label: 'Medium Edge (3-5 citations)' },
+          { width: 2.5, stroke: '#333', opacity: 0.9, label: 'Thick Edge (6+ citations)' }
+        ]
+      }
+    ]
+  },
+
+  /**
+   * 协作网络：节点统一为黑色，大小编码合作者数量，边宽编码合作论文数
+   */
+  collaboration: {
+    subtitle: 'Visualization encoding for author collaboration networks',
+    sections: [
+      {
+        type: 'uniform',
+        channel: 'color',
+        icon: '⚫',
+        title: 'Node Color - Uniform Black',
+        description: 'All author nodes are displayed in black. Color does not encode any information in collaboration networks',
+        color: '#000000',
+        items: [
+          { radius: 8, label: 'Small' },
+          { radius: 12, label: 'Medium' },
+          { radius: 15, label: 'Large' }
+        ]
+      },
+      {
+        type: 'size',
+        channel: 'size',
+        icon: '📊',
+        title: 'Node Size - Collaboration Network',
+        description: 'Node size is proportional to the number of collaborators. Larger nodes indicate authors with more collaboration connections',
+        color: '#000000',
+        items: [
+          { radius: 4, label: 'Few Collaborators', detail: '<10' },
+          { radius: 10, label: 'Regular', detail: '10-30' },
+          { radius: 18, label: 'Active', detail: '30-100' },
+          { radius: 25, label: 'Highly Connected', detail: '>100' }
+        ]
+      },
+      {
+        type: 'edge',
+        icon: '🔗',
+        title: 'Edge Weight - Collaboration Strength',
+        description: 'Edge thickness represents the number of collaborative papers. Thicker edges indicate more collaborations',
+        items: [
+          { width: 0.5, stroke: '#999', opacity: 0.7, label: 'Thin Edge (1-2 papers)' },
+          { width: 1.5, stroke: '#666', opacity: 0.8, label: 'Medium Edge (3-5 papers)' },
+          { width: 2.5, stroke: '#333', opacity: 0.9, label: 'Thick Edge (6+ papers)' }
+        ]
+      }
+    ]
+  }
+};
+
+// 与 nodeEncoding.js 的色轮一致：蓝 (240°) → 红 (0°)
+const ENCODING_GRADIENT_STOPS = [
+  { offset: 0, color: 'hsl(240, 80%, 45%)' },
+  { offset: 25, color: 'hsl(180, 80%, 47%)' },
+  { offset: 50, color: 'hsl(120, 80%, 50%)' },
+  { offset: 75, color: 'hsl(60, 80%, 52%)' },
+  { offset: 100, color: 'hsl(0, 80%, 55%)' }
+];
+
+/**
+ * 获取网络类型对应的图例
+ * @param {string} networkType - 'citation' | 'collaboration'
+ * @param {Object} display - 显示设置 { sizeBy, colorBy }，为空时使用默认编码
+ * @returns {Object} { subtitle, sections }
+ */
+export function getLegendConfig(networkType, display = null) {
+  const legend = LEGEND_CONFIG[networkType] || LEGEND_CONFIG.citation;
+  const encodingOf = {
+    size: display?.sizeBy || DEFAULT_ENCODING,
+    color: display?.colorBy || DEFAULT_ENCODING
+  };
+  if (encodingOf.size === DEFAULT_ENCODING && encodingOf.color === DEFAULT_ENCODING) {
+    return legend;
+  }
+
+  return {
+    ...legend,
+    sections: legend.sections.map(section => {
+      const key = encodingOf[section.channel];
+      const encoding = NODE_ENCODINGS[key];
+      if (!key || key === DEFAULT_ENCODING || !encoding) return section;
+      if (section.channel === 'size') {
+        return encoding.categorical ? section : encodingSizeSection(encoding.label, section.color);
+      }
+      return encoding.categorical ? categoryColorSection(encoding.label) : encodingColorSection(encoding.label);
+    })
+  };
+}
+
+/**
+ * 其他指标的大小编码说明（按当前显示节点的相对大小）
+ * @private
+ */
+function encodingSizeSection(label, color) {
+  return {
+    type: 'size',
+    channel: 'size',
+    icon: '📊',
+    title: `Node Size - ${label}`,
+    description: `Node size grows with ${label.toLowerCase()} on a log scale, relative to the nodes on screen`,
+    color,
+    items: [
+      { radius: 2, label: 'Lowest', detail: '' },
+      { radius: 5, label: 'Low', detail: '' },
+      { radius: 10, label: 'High', detail: '' },
+      { radius: 15, label: 'Highest', detail: '' }
+    ]
+  };
+}
+
+/**
+ * 其他指标的颜色编码说明
+ * @private
+ */
+function encodingColorSection(label) {
+  return {
+    type: 'gradient',
+    channel: 'color',
+    icon: '🎨',
+    title: `Node Color - ${label}`,
+    description: `Colors run from blue (lowest) to red (highest) ${label.toLowerCase()} on a log scale`,
+    stops: ENCODING_GRADIENT_STOPS,
+    stopLabels: ['Lowest', 'Low', 'High', 'Highest'],
+    swatches: []
+  };
+}
+
+/**
+ * 类别指标的颜色说明：编号按规模排序，调色板只覆盖最大的几个类别
+ * @private
+ */
+function categoryColorSection(label) {
+  return {
+    type: 'categorical',
+    channel: 'color',
+    icon: '🎨',
+    title: `Node Color - ${label}`,
+    description: `Nodes are colored by ${label.toLowerCase()}, numbered from largest to smallest; the ${CATEGORY_COLORS.length} largest have their own color and the rest are grey`,
+    swatches: [
+      ...CATEGORY_COLORS.map((color, index) => ({ color, label: `${label} ${index + 1}` })),
+      { color: OTHER_CATEGORY_COLOR, label: 'All smaller ones' }
+    ]
+  };
+}
+
+export default {
+  LEGEND_CONFIG,
+  getLegendConfig
+};
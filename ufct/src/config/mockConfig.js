@@ -0,0 +1,80 @@
+/**
+ * 模拟后端配置
+ * 默认值来自环境变量，设置面板中的修改保存在 localStorage 中并优先生效
+ *
+ *   VUE_APP_USE_MOCK=true       启用模拟后端
+ *   VUE_APP_MOCK_SIZE=2000      合成论文数量
+ *   VUE_APP_MOCK_SEED=42        随机种子（相同种子得到相同数据）
+ *   VUE_APP_MOCK_LATENCY=300    模拟网络延迟（毫秒）
+ */
+
+const STORAGE_KEY = 'mock_backend_settings';
+
+export const MOCK_SIZE_RANGE = { min: 50, max: 50000 };
+
+export const MOCK_DEFAULTS = {
+  enabled: process.env.VUE_APP_USE_MOCK === 'true',
+  size: Number(process.env.VUE_APP_MOCK_SIZE) || 2000,
+  seed: Number(process.env.VUE_APP_MOCK_SEED) || 42,
+  latency: process.env.VUE_APP_MOCK_LATENCY !== undefined ? Number(process.env.VUE_APP_MOCK_LATENCY) : 300
+};
+
+/**
+ * 读取当前生效的模拟后端设置
+ * @returns {Object} { enabled, size, seed, latency }
+ */
+export function getMockSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return saved ? { ...MOCK_DEFAULTS, ...saved } : { ...MOCK_DEFAULTS };
+  } catch (error) {
+    return { ...MOCK_DEFAULTS };
+  }
+}
+
+/**
+ * 保存模拟后端设置，数值项会被限制在合法范围内
+ * @param {Object} settings - { enabled, size, seed, latency } 的部分或全部
+ * @returns {Object} 合并后的设置
+ */
+export function saveMockSettings(settings) {
+  const merged = { ...getMockSettings(), ...settings };
+  merged.size = Math.min(MOCK_SIZE_RANGE.max, Math.max(MOCK_SIZE_RANGE.min, Math.round(merged.size) || MOCK_DEFAULTS.size));
+  merged.seed = Math.round(merged.seed) || 0;
+  merged.latency = Math.max(0, Math.round(merged.latency) || 0);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+  } catch (error) {
+    console.warn('Failed to save mock backend settings:', error);
+  }
+  return merged;
+}
+
+/**
+ * 恢复为环境变量中的默认设置
+ */
+export function resetMockSettings() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // localStorage 不可用时忽略
+  }
+  return { ...MOCK_DEFAULTS };
+}
+
+/**
+ * 是否启用模拟后端
+ * @returns {boolean}
+ */
+export function isMockBackendEnabled() {
+  return getMockSettings().enabled;
+}
+
+export default {
+  MOCK_DEFAULTS,
+  MOCK_SIZE_RANGE,
+  getMockSettings,
+  saveMockSettings,
+  resetMockSettings,
+  isMockBackendEnabled
+};
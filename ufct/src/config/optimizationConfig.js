@@ -106,6 +106,70 @@ export function selectOptimalPreset(nodeCount) {
   }
 }
 
+/**
+ * 渲染前按节点数确定的优化参数（NetworkGraph 与基准测试共用）
+ * @param {number} nodeCount - 清理后的节点数量
+ * @returns {Object} { threshold, maxNodes, preserveTopPercent, enableCommunityMerge }
+ */
+export function getRenderOptimizationParams(nodeCount) {
+  let threshold;
+  let maxNodes;
+  if (nodeCount <= 500) {
+    threshold = 1;
+    maxNodes = 500;
+  } else if (nodeCount <= 1000) {
+    threshold = 2;
+    maxNodes = 1000;
+  } else if (nodeCount <= 2000) {
+    threshold = 3;
+    maxNodes = 1500;
+  } else if (nodeCount <= 5000) {
+    threshold = 4;
+    maxNodes = 1500;
+  } else {
+    threshold = 5;
+    maxNodes = 1200;
+  }
+
+  return {
+    threshold,
+    maxNodes,
+    preserveTopPercent: nodeCount > 2000 ? 0.1 : 0.15,
+    enableCommunityMerge: nodeCount > 1000
+  };
+}
+
+/**
+ * 网络图工具栏中可选的渲染预设，AUTO 为按节点数自动选择
+ */
+export const RENDER_PRESET_OPTIONS = [
+  { key: 'AUTO', label: 'Auto (by network size)' },
+  { key: 'SMALL', label: 'Full detail (no optimization)' },
+  { key: 'MEDIUM', label: 'Balanced (up to 1,500 nodes)' },
+  { key: 'LARGE', label: 'Strong (merge communities)' },
+  { key: 'XLARGE', label: 'Core only (up to 1,200 nodes)' }
+];
+
+/**
+ * 按选择的预设确定渲染优化参数，'AUTO' 或未知预设时按节点数自动选择
+ * @param {string} presetKey - 'AUTO' 或 OPTIMIZATION_PRESETS 中的键
+ * @param {number} nodeCount - 清理后的节点数量
+ * @returns {Object} { enabled, threshold, maxNodes, preserveTopPercent, enableCommunityMerge }
+ */
+export function getPresetOptimizationParams(presetKey, nodeCount) {
+  const preset = OPTIMIZATION_PRESETS[presetKey];
+  if (!preset) {
+    return { enabled: true, ...getRenderOptimizationParams(nodeCount) };
+  }
+  return {
+    enabled: preset.enableOptimization,
+    threshold: preset.optimizationThreshold,
+    maxNodes: preset.maxRenderNodes,
+    preserveTopPercent: preset.preserveTopPercent,
+    enableCommunityMerge: preset.enableCommunityMerge
+  };
+}
+
 /**
  * 应用预设配置到组件
  * @param {Object} component - Vue 组件实例
@@ -190,6 +254,9 @@ export const DEBUG_PRESET = {
 export default {
   OPTIMIZATION_PRESETS,
   selectOptimalPreset,
+  getRenderOptimizationParams,
+  RENDER_PRESET_OPTIONS,
+  getPresetOptimizationParams,
   applyPreset,
   generatePerformanceRecommendations,
   DEBUG_PRESET
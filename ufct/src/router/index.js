@@ -6,6 +6,7 @@ import { createRouter, createWebHistory } from 'vue-router';
 import CitationNetwork from '../views/CitationNetwork.vue';
 import AuthorCollaboration from '../views/AuthorCollaboration.vue';
 import PaperStatistics from '../views/PaperStatistics.vue';
+import RenderBenchmark from '../views/RenderBenchmark.vue';
 
 const routes = [
   {
@@ -26,6 +27,11 @@ const routes = [
     path: '/paper-statistics',
     name: 'PaperStatistics',
     component: PaperStatistics
+  },
+  {
+    path: '/benchmark',
+    name: 'RenderBenchmark',
+    component: RenderBenchmark
   }
 ];
 
@@ -3,244 +3,546 @@
  */
 
 import axios from 'axios';
+import { normalizeApiError, isCancelError, SchemaError } from './apiErrors';
+import { withRetry } from './retry';
+import { mockAdapter } from './mockBackend';
+import { readNetworkStream } from './networkStream';
+import { isMockBackendEnabled } from '../config/mockConfig';
+import { NDJSON_CONTENT_TYPE } from '../utils/ndjsonParser';
 
 const API_BASE_URL = process.env.VUE_APP_API_URL || 'http://127.0.0.1:5000/api';
 
+// 大规模网络查询在后端可能耗时数分钟，默认 10 分钟超时；过期的请求依靠取消而不是超时来结束
+const API_TIMEOUT = Number(process.env.VUE_APP_API_TIMEOUT) || 10 * 60 * 1000;
+
+// 分页加载网络时每页的节点数
+const NETWORK_PAGE_SIZE = Number(process.env.VUE_APP_NETWORK_PAGE_SIZE) || 1000;
+
+// 网络接口优先请求 NDJSON 流，后端不支持时按 q 值退回普通 JSON
+const NETWORK_ACCEPT = `${NDJSON_CONTENT_TYPE}, application/json;q=0.9`;
+// 流式读取时向调用方交付数据的最短间隔（毫秒）
+const STREAM_DELIVERY_INTERVAL = 250;
+const STREAMING_SUPPORTED = typeof fetch !== 'undefined' && typeof ReadableStream !== 'undefined' && typeof Response !== 'undefined';
+
 const axiosInstance = axios.create({
   baseURL: API_BASE_URL,
-  timeout: 3000000,
+  timeout: API_TIMEOUT,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// 启用模拟后端时由本地适配器应答，不发出网络请求
+axiosInstance.interceptors.request.use(config => {
+  if (isMockBackendEnabled()) {
+    config.adapter = mockAdapter;
+  }
+  return config;
+});
+
+// 进行中的请求：相同 URL 与参数的并发调用共享同一个底层请求
+const inFlightRequests = new Map();
+
+/**
+ * 发送可取消、可去重、失败自动重试的 GET 请求
+ * 相同请求并发时只发出一次；每个调用方可以用自己的 signal 退出，
+ * 只有当所有调用方都取消后，底层请求才会真正被中止。
+ * 暂时性错误（网络、超时、429、5xx）按指数退避重试，最终失败时抛出 ApiError
+ * @param {string} url - 接口路径
+ * @param {Object} params - 查询参数
+ * @param {AbortSignal} signal - 调用方的取消信号（可选）
+ * @returns {Promise} axios 响应
+ */
+function sharedGet(url, params = {}, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(new axios.CanceledError());
+  }
+
+  const key = `${url}?${stableStringify(params)}`;
+  let entry = inFlightRequests.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    entry = {
+      controller,
+      subscribers: 0,
+      settled: false,
+      promise: null
+    };
+    const current = entry;
+    current.promise = withRetry(
+      () => axiosInstance.get(url, { params, signal: controller.signal }),
+      { signal: controller.signal }
+    )
+      .finally(() => {
+        current.settled = true;
+        if (inFlightRequests.get(key) === current) {
+          inFlightRequests.delete(key);
+        }
+      });
+    inFlightRequests.set(key, entry);
+  }
+
+  return subscribeToRequest(key, entry, signal);
+}
+
+/**
+ * 为共享请求登记一个调用方
+ * @private
+ */
+function subscribeToRequest(key, entry, signal) {
+  entry.subscribers++;
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+
+    const release = () => {
+      done = true;
+      entry.subscribers--;
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    function onAbort() {
+      if (done) return;
+      release();
+      // 最后一个调用方离开时中止底层请求
+      if (entry.subscribers === 0 && !entry.settled) {
+        entry.controller.abort();
+        if (inFlightRequests.get(key) === entry) {
+          inFlightRequests.delete(key);
+        }
+      }
+      reject(new axios.CanceledError());
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    entry.promise.then(
+      response => {
+        if (done) return;
+        release();
+        resolve(response);
+      },
+      error => {
+        if (done) return;
+        release();
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * 键顺序无关的参数序列化，用于识别相同请求
+ * @private
+ */
+function stableStringify(params) {
+  return JSON.stringify(
+    Object.keys(params)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = params[key];
+        return acc;
+      }, {})
+  );
+}
+
+/**
+ * 校验网络接口响应的基本结构：{ data: { nodes: [], edges: [] } }
+ * @private
+ */
+function assertNetworkPayload(body) {
+  const data = body?.data;
+  if (!data || typeof data !== 'object') {
+    throw new SchemaError('response is missing the "data" object');
+  }
+  const network = data.network || data;
+  if (!Array.isArray(network.nodes)) {
+    throw new SchemaError('"data.nodes" must be an array');
+  }
+  if (network.edges !== undefined && !Array.isArray(network.edges)) {
+    throw new SchemaError('"data.edges" must be an array');
+  }
+  return data;
+}
+
 /**
  * 获取论文引用网络数据
  * @param {Object} params - 查询参数 { university, discipline, year_min, year_max, limit, min_citations }
- * @returns {Promise} 包含节点和链接的网络数据
+ * @param {Object} options - { signal, onPage, pageSize }
+ *   signal: 用于取消请求的 AbortSignal
+ *   onPage: 提供时分页加载，每页到达后以 (page, progress) 回调（见 fetchNetworkInPages）
+ * @returns {Promise} 包含节点和链接的网络数据；被取消时 cancelled 为 true
  */
-export async function fetchCitationNetwork(params = {}) {
-  try {
-    // 转换参数格式以适应后端 API
-    const queryParams = {
-      year_min: params.year_min || 2020,
-      year_max: params.year_max || 2024,
-      limit: params.limit || 500
-    };
-    
-    // 可选参数
-    if (params.university) queryParams.university = params.university;
-    if (params.discipline) queryParams.discipline = params.discipline;
-    if (params.min_citations !== undefined) queryParams.min_citations = params.min_citations;
+export async function fetchCitationNetwork(params = {}, options = {}) {
+  // 转换参数格式以适应后端 API
+  const queryParams = {
+    year_min: params.year_min || 2020,
+    year_max: params.year_max || 2024,
+    limit: params.limit || 500
+  };
+
+  // 可选参数
+  if (params.university) queryParams.university = params.university;
+  if (params.discipline) queryParams.discipline = params.discipline;
+  if (params.min_citations !== undefined) queryParams.min_citations = params.min_citations;
 
-    const response = await axiosInstance.get('/networks/citation', { params: queryParams });
+  if (options.onPage) {
+    return fetchNetworkInPages('/networks/citation', queryParams, options, '获取论文引用网络失败:');
+  }
+
+  try {
+    const response = await sharedGet('/networks/citation', queryParams, options.signal);
     
     return {
       success: true,
-      data: response.data.data
+      data: assertNetworkPayload(response.data)
     };
   } catch (error) {
-    console.error('获取论文引用网络失败:', error.message);
-    console.error('错误详情:', error.response?.data || error.response || error);
+    if (isCancelError(error)) {
+      return cancelledResult({ nodes: [], edges: [] });
+    }
+    const apiError = normalizeApiError(error);
+    console.error('获取论文引用网络失败:', apiError.message);
+    console.error('错误详情:', apiError.cause?.response?.data || apiError);
     return {
       success: false,
-      error: error.message,
+      error: apiError,
       data: { nodes: [], edges: [] }
     };
   }
 }
 
 /**
- * 获取论文引用网络的 Mock 数据（小规模）
+ * 获取作者协作网络数据
+ * @param {Object} params - 查询参数 { university, discipline, year_min, year_max, limit, min_collaborations }
+ * @param {Object} options - { signal, onPage, pageSize }，含义同 fetchCitationNetwork
+ * @returns {Promise} 包含节点和链接的网络数据；被取消时 cancelled 为 true
  */
-export function getMockCitationNetworkData() {
-  const nodes = [
-    {
-      id: 'paper_0',
-      label: 'Deep Learning Foundations',
-      year: 2018,
-      citations: 250
-    },
-    {
-      id: 'paper_1',
-      label: 'Transformer Architecture',
-      year: 2019,
-      citations: 180
-    },
-    {
-      id: 'paper_2',
-      label: 'Attention Mechanisms',
-      year: 2017,
-      citations: 320
-    },
-    {
-      id: 'paper_3',
-      label: 'Neural Networks',
-      year: 2016,
-      citations: 420
-    },
-    {
-      id: 'paper_4',
-      label: 'Graph Neural Networks',
-      year: 2019,
-      citations: 150
-    },
-    {
-      id: 'paper_5',
-      label: 'BERT Model',
-      year: 2018,
-      citations: 290
+export async function fetchAuthorCollaborationNetwork(params = {}, options = {}) {
+  // 转换参数格式以适应后端 API
+  const queryParams = {
+    year_min: params.year_min || 2020,
+    year_max: params.year_max || 2024,
+    limit: params.limit || 500,
+    min_collaborations: params.min_collaborations || 1
+  };
+
+  // 可选参数
+  if (params.university) queryParams.university = params.university;
+  if (params.discipline) queryParams.discipline = params.discipline;
+
+  if (options.onPage) {
+    return fetchNetworkInPages('/networks/collaboration', queryParams, options, '获取作者协作网络失败:');
+  }
+
+  try {
+    const response = await sharedGet('/networks/collaboration', queryParams, options.signal);
+    
+    return {
+      success: true,
+      data: assertNetworkPayload(response.data)
+    };
+  } catch (error) {
+    if (isCancelError(error)) {
+      return cancelledResult({ nodes: [], edges: [] });
     }
-  ];
-
-  const links = [
-    { source: 'paper_0', target: 'paper_1', weight: 1 },
-    { source: 'paper_0', target: 'paper_2', weight: 1 },
-    { source: 'paper_1', target: 'paper_2', weight: 1 },
-    { source: 'paper_2', target: 'paper_3', weight: 1 },
-    { source: 'paper_3', target: 'paper_4', weight: 1 },
-    { source: 'paper_4', target: 'paper_5', weight: 1 },
-    { source: 'paper_5', target: 'paper_0', weight: 1 },
-    { source: 'paper_1', target: 'paper_5', weight: 1 }
-  ];
-
-  return { nodes, links };
+    const apiError = normalizeApiError(error);
+    console.error('获取作者协作网络失败:', apiError.message);
+    console.error('错误详情:', apiError.cause?.response?.data || apiError);
+    return {
+      success: false,
+      error: apiError,
+      data: { nodes: [], edges: [] }
+    };
+  }
 }
 
 /**
- * 获取作者协作网络数据
- * @param {Object} params - 查询参数 { university, discipline, year_min, year_max, limit, min_collaborations }
- * @returns {Promise} 包含节点和链接的网络数据
+ * 按游标分页获取网络数据
+ * 请求附带 page_size 与 cursor（首页不带），后端在 data.pagination 中返回
+ *   { next_cursor, has_more, total_nodes, total_edges }
+ * 每页包含一批节点，以及两端都已加载、且至少一端在本页的边，逐页合并不会产生悬空边。
+ * 后端不支持分页时（响应中没有 pagination）第一页即为完整网络。
+ * 每页优先以 NDJSON 流的形式读取（见 requestNetworkPage），一页之内也会分批回调。
+ *
+ * 被取消或中途失败时，返回值的 data 仍包含已经到达的部分（partial 为 true）
+ * @private
+ * @param {string} url - 接口路径
+ * @param {Object} queryParams - 查询参数
+ * @param {Object} options - { signal, onPage, pageSize }
+ *   onPage(chunk, progress): chunk 为新到达的 { nodes, edges, communities, metadata }
+ *   （JSON 响应为一整页，NDJSON 流为一页中的一批），
+ *   progress 为 { page, loadedNodes, loadedEdges, totalNodes, totalEdges, done }
+ * @param {string} errorLabel - 失败时的日志前缀
+ * @returns {Promise<Object>} { success, data, cancelled?, partial?, error? }
  */
-export async function fetchAuthorCollaborationNetwork(params = {}) {
+async function fetchNetworkInPages(url, queryParams, options, errorLabel) {
+  const { signal, onPage, pageSize = NETWORK_PAGE_SIZE } = options;
+  const merged = { nodes: [], edges: [], communities: [], metadata: null };
+  let cursor = null;
+  let pageIndex = 0;
+  let pagination = null;
+
+  // 合并新到达的数据并通知调用方
+  const deliver = (chunk, done) => {
+    merged.nodes.push(...chunk.nodes);
+    merged.edges.push(...chunk.edges);
+    merged.communities.push(...chunk.communities);
+    if (chunk.metadata) merged.metadata = chunk.metadata;
+
+    onPage(chunk, {
+      page: pageIndex,
+      loadedNodes: merged.nodes.length,
+      loadedEdges: merged.edges.length,
+      totalNodes: pagination?.total_nodes ?? (done ? merged.nodes.length : null),
+      totalEdges: pagination?.total_edges ?? (done ? merged.edges.length : null),
+      done
+    });
+  };
+
+  // 流式读取时批次很密，攒够一个间隔再交付，避免每批都触发一次完整重绘
+  let pendingChunk = null;
+  let lastDeliveredAt = 0;
+  const flushPending = (done) => {
+    if (!pendingChunk) return;
+    const chunk = pendingChunk;
+    pendingChunk = null;
+    lastDeliveredAt = Date.now();
+    deliver(chunk, done);
+  };
+
   try {
-    // 转换参数格式以适应后端 API
-    const queryParams = {
-      year_min: params.year_min || 2020,
-      year_max: params.year_max || 2024,
-      limit: params.limit || 500,
-      min_collaborations: params.min_collaborations || 1
-    };
-    
-    // 可选参数
-    if (params.university) queryParams.university = params.university;
-    if (params.discipline) queryParams.discipline = params.discipline;
+    do {
+      const pageParams = { ...queryParams, page_size: pageSize };
+      if (cursor) pageParams.cursor = cursor;
+
+      const page = await requestNetworkPage(url, pageParams, signal, (batch) => {
+        if (batch.pagination) pagination = batch.pagination;
+        if (!pendingChunk) {
+          pendingChunk = { nodes: [], edges: [], communities: [], metadata: null };
+        }
+        pendingChunk.nodes.push(...batch.nodes);
+        pendingChunk.edges.push(...batch.edges);
+        pendingChunk.communities.push(...batch.communities);
+        if (batch.metadata) pendingChunk.metadata = batch.metadata;
+        if (Date.now() - lastDeliveredAt >= STREAM_DELIVERY_INTERVAL) {
+          flushPending(false);
+        }
+      });
+
+      pagination = page.pagination || null;
+      cursor = pagination && pagination.has_more ? pagination.next_cursor : null;
+      if (page.streamed) {
+        flushPending(!cursor);
+      } else {
+        deliver(page, !cursor);
+      }
+      pageIndex++;
+    } while (cursor);
 
-    const response = await axiosInstance.get('/networks/collaboration', { params: queryParams });
-    
     return {
       success: true,
-      data: response.data.data
+      data: merged
     };
   } catch (error) {
-    console.error('获取作者协作网络失败:', error.message);
-    console.error('错误详情:', error.response?.data || error.response || error);
+    // 还在攒批的数据也已到达，一并计入部分结果
+    flushPending(true);
+    const partial = merged.nodes.length > 0;
+    if (isCancelError(error)) {
+      return { ...cancelledResult(merged), partial };
+    }
+    const apiError = normalizeApiError(error);
+    console.error(errorLabel, apiError.message);
+    console.error('错误详情:', apiError.cause?.response?.data || apiError);
     return {
       success: false,
-      error: error.message,
-      data: { nodes: [], edges: [] }
+      error: apiError,
+      partial,
+      data: merged
     };
   }
 }
 
 /**
- * 获取作者协作网络的 Mock 数据（小规模）
+ * 请求网络数据的一页，通过 Accept 头协商格式：
+ * 后端返回 NDJSON 时边下载边解析（在 Worker 中），每批节点与边立即交给 onBatch；
+ * 返回普通 JSON 时整体解析。浏览器不支持流式响应时直接按 JSON 请求。
+ * @private
+ * @param {string} url - 接口路径
+ * @param {Object} params - 查询参数
+ * @param {AbortSignal} signal - 取消信号
+ * @param {Function} onBatch - 流式读取时每批数据的回调
+ * @returns {Promise<Object>} JSON：{ nodes, edges, communities, metadata, pagination, streamed: false }
+ *   NDJSON：{ metadata, pagination, streamed: true }（节点与边已通过 onBatch 交付）
  */
-export function getMockAuthorCollaborationData() {
-  const nodes = [
-    {
-      id: 'author_0',
-      label: 'Yann LeCun',
-      papers: 45,
-      degree: 8
-    },
-    {
-      id: 'author_1',
-      label: 'Geoffrey Hinton',
-      papers: 38,
-      degree: 7
-    },
-    {
-      id: 'author_2',
-      label: 'Bengio Yoshua',
-      papers: 42,
-      degree: 8
-    },
-    {
-      id: 'author_3',
-      label: 'Andrew Ng',
-      papers: 35,
-      degree: 6
-    },
-    {
-      id: 'author_4',
-      label: 'Fei-Fei Li',
-      papers: 28,
-      degree: 5
-    },
-    {
-      id: 'author_5',
-      label: 'Jürgen Schmidhuber',
-      papers: 32,
-      degree: 5
+async function requestNetworkPage(url, params, signal, onBatch) {
+  if (!STREAMING_SUPPORTED) {
+    const response = await sharedGet(url, params, signal);
+    return { ...toNetworkPage(assertNetworkPayload(response.data)), streamed: false };
+  }
+
+  // 流只能被读取一次，因此不参与相同请求的共享，只做重试
+  const response = await withRetry(
+    () => axiosInstance.get(url, {
+      params,
+      signal,
+      adapter: 'fetch',
+      responseType: 'stream',
+      headers: { Accept: NETWORK_ACCEPT }
+    }),
+    { signal }
+  );
+
+  const contentType = String(response.headers?.['content-type'] || '');
+  if (contentType.includes(NDJSON_CONTENT_TYPE) && isReadableStream(response.data)) {
+    const summary = await readNetworkStream(response.data, { signal, onBatch });
+    return { metadata: summary.metadata, pagination: summary.pagination, streamed: true };
+  }
+
+  // 后端不支持 NDJSON：读完整个响应再按 JSON 解析
+  let body = response.data;
+  if (isReadableStream(body)) {
+    try {
+      body = JSON.parse(await new Response(body).text());
+    } catch (error) {
+      if (isCancelError(error) || signal?.aborted) throw new axios.CanceledError();
+      throw new SchemaError('response is not valid JSON');
     }
-  ];
-
-  const links = [
-    { source: 'author_0', target: 'author_1', weight: 5 },
-    { source: 'author_0', target: 'author_2', weight: 8 },
-    { source: 'author_1', target: 'author_2', weight: 6 },
-    { source: 'author_0', target: 'author_3', weight: 3 },
-    { source: 'author_2', target: 'author_3', weight: 4 },
-    { source: 'author_3', target: 'author_4', weight: 2 },
-    { source: 'author_1', target: 'author_5', weight: 3 },
-    { source: 'author_4', target: 'author_5', weight: 2 }
-  ];
-
-  return { nodes, links };
+  }
+  return { ...toNetworkPage(assertNetworkPayload(body)), streamed: false };
+}
+
+/**
+ * 统一 JSON 响应的两种结构（data.network 或直接在 data 下）
+ * @private
+ */
+function toNetworkPage(data) {
+  const network = data.network || data;
+  return {
+    nodes: network.nodes,
+    edges: network.edges || [],
+    communities: data.communities || [],
+    metadata: data.metadata || null,
+    pagination: data.pagination || null
+  };
+}
+
+/**
+ * @private
+ */
+function isReadableStream(value) {
+  return typeof value?.getReader === 'function';
 }
 
 /**
  * 获取节点详细信息
  * @param {string} nodeId - 节点ID
  * @param {string} networkType - 网络类型 'citation' | 'collaboration'
+ * @param {Object} options - { signal } 用于取消请求的 AbortSignal
  * @returns {Promise} 节点详细信息
  */
-export async function fetchNodeDetails(nodeId, networkType = 'citation') {
+export async function fetchNodeDetails(nodeId, networkType = 'citation', options = {}) {
   try {
-    const response = await axiosInstance.get(`/${networkType}-network/nodes/${nodeId}`);
+    const response = await sharedGet(`/${networkType}-network/nodes/${encodeURIComponent(nodeId)}`, {}, options.signal);
     return {
       success: true,
       data: response.data
     };
   } catch (error) {
+    if (isCancelError(error)) {
+      return cancelledResult(null);
+    }
     return {
       success: false,
-      error: error.message,
+      error: normalizeApiError(error),
       data: null
     };
   }
 }
 
+/**
+ * 获取节点及其直接邻居（引用网络为参考文献与施引文献，协作网络为合作者）
+ * @param {string} nodeId - 节点ID
+ * @param {string} networkType - 网络类型 'citation' | 'collaboration'
+ * @param {Object} options - { signal, limit } limit 为最多返回的邻居数
+ * @returns {Promise} { nodes, edges, metadata }，结构与网络接口相同
+ */
+export async function fetchNodeNeighborhood(nodeId, networkType = 'citation', options = {}) {
+  try {
+    const params = options.limit ? { limit: options.limit } : {};
+    const response = await sharedGet(
+      `/${networkType}-network/nodes/${encodeURIComponent(nodeId)}/neighbors`,
+      params,
+      options.signal
+    );
+    return {
+      success: true,
+      data: assertNetworkPayload(response.data)
+    };
+  } catch (error) {
+    if (isCancelError(error)) {
+      return cancelledResult({ nodes: [], edges: [] });
+    }
+    return {
+      success: false,
+      error: normalizeApiError(error),
+      data: { nodes: [], edges: [] }
+    };
+  }
+}
+
+/**
+ * 在完整的数据集中查找连接两个节点的最短路径，用于已加载的网络中两点不连通时补齐中间节点
+ * @param {string} sourceId - 起点 ID
+ * @param {string} targetId - 终点 ID
+ * @param {string} networkType - 网络类型 'citation' | 'collaboration'
+ * @param {Object} options - { signal, maxLength } maxLength 为最多允许的步数
+ * @returns {Promise} { nodes, edges, path, metadata }，path 为路径上的节点 ID，找不到时为空数组
+ */
+export async function fetchBridgingPath(sourceId, targetId, networkType = 'citation', options = {}) {
+  try {
+    const params = { source: sourceId, target: targetId };
+    if (options.maxLength) params.max_length = options.maxLength;
+    const response = await sharedGet(`/${networkType}-network/path`, params, options.signal);
+    const data = assertNetworkPayload(response.data);
+    return {
+      success: true,
+      data: { ...data, path: Array.isArray(data.path) ? data.path : [] }
+    };
+  } catch (error) {
+    if (isCancelError(error)) {
+      return cancelledResult({ nodes: [], edges: [], path: [] });
+    }
+    return {
+      success: false,
+      error: normalizeApiError(error),
+      data: { nodes: [], edges: [], path: [] }
+    };
+  }
+}
+
 /**
  * 搜索节点
  * @param {string} query - 搜索查询
  * @param {string} networkType - 网络类型
+ * @param {Object} options - { signal } 用于取消请求的 AbortSignal
  * @returns {Promise} 搜索结果
  */
-export async function searchNodes(query, networkType = 'citation') {
+export async function searchNodes(query, networkType = 'citation', options = {}) {
   try {
-    const response = await axiosInstance.get(`/${networkType}-network/search`, {
-      params: { query }
-    });
+    const response = await sharedGet(`/${networkType}-network/search`, { query }, options.signal);
     return {
       success: true,
       data: response.data
     };
   } catch (error) {
+    if (isCancelError(error)) {
+      return cancelledResult([]);
+    }
     return {
       success: false,
-      error: error.message,
+      error: normalizeApiError(error),
       data: []
     };
   }
@@ -249,9 +551,10 @@ export async function searchNodes(query, networkType = 'citation') {
 /**
  * 获取论文统计数据 - T2 功能
  * @param {Object} params - 查询参数 { university, year_min, year_max, cs_topics }
- * @returns {Promise} 包含时间线和直方图数据
+ * @param {Object} options - { signal } 用于取消请求的 AbortSignal
+ * @returns {Promise} 包含时间线和直方图数据；被取消时 cancelled 为 true
  */
-export async function fetchPaperStatistics(params = {}) {
+export async function fetchPaperStatistics(params = {}, options = {}) {
   try {
     const queryParams = {
       year_min: params.year_min || 2015,
@@ -266,18 +569,31 @@ export async function fetchPaperStatistics(params = {}) {
       queryParams.topics = params.cs_topics.join(',');
     }
 
-    const response = await axiosInstance.get('/papers/statistics', { params: queryParams });
+    const response = await sharedGet('/papers/statistics', queryParams, options.signal);
+    const data = response.data?.data;
+    if (!data || typeof data !== 'object' || !Array.isArray(data.timeline)) {
+      throw new SchemaError('"data.timeline" must be an array');
+    }
     
     return {
       success: true,
-      data: response.data.data
+      data
     };
   } catch (error) {
-    console.error('Failed to fetch paper statistics:', error.message);
-    console.error('Error details:', error.response?.data || error.response || error);
+    if (isCancelError(error)) {
+      return cancelledResult({
+        timeline: [],
+        global_histogram: [],
+        histogram_by_year: {},
+        metadata: null
+      });
+    }
+    const apiError = normalizeApiError(error);
+    console.error('Failed to fetch paper statistics:', apiError.message);
+    console.error('Error details:', apiError.cause?.response?.data || apiError);
     return {
       success: false,
-      error: error.message,
+      error: apiError,
       data: {
         timeline: [],
         global_histogram: [],
@@ -288,10 +604,25 @@ export async function fetchPaperStatistics(params = {}) {
   }
 }
 
+/**
+ * 被取消请求的统一返回结构
+ * @private
+ */
+function cancelledResult(emptyData) {
+  return {
+    success: false,
+    cancelled: true,
+    error: 'Request cancelled',
+    data: emptyData
+  };
+}
+
 export default {
   fetchCitationNetwork,
   fetchAuthorCollaborationNetwork,
   fetchNodeDetails,
+  fetchNodeNeighborhood,
+  fetchBridgingPath,
   searchNodes,
   fetchPaperStatistics
 };
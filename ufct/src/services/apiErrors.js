@@ -0,0 +1,204 @@
+/**
+ * API 错误模型 - 将 axios 错误归类为结构化的错误类型
+ * 视图根据错误类型给出具体提示，重试逻辑根据 retryable 判断是否自动重试
+ */
+
+import axios from 'axios';
+
+/**
+ * API 错误基类
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = 'unknown';
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+
+  get title() {
+    return 'Request Failed';
+  }
+
+  get userMessage() {
+    return `Something went wrong while loading data: ${this.message}`;
+  }
+}
+
+/**
+ * 网络不可达（后端未启动、断网、CORS 被拦截等）
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Network error', options = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'NetworkError';
+    this.kind = 'network';
+  }
+
+  get title() {
+    return 'Server Unreachable';
+  }
+
+  get userMessage() {
+    return 'Cannot reach the server. Check your connection and make sure the backend is running.';
+  }
+}
+
+/**
+ * 请求超时
+ */
+export class TimeoutError extends ApiError {
+  constructor(message = 'Request timed out', options = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'TimeoutError';
+    this.kind = 'timeout';
+  }
+
+  get title() {
+    return 'Request Timed Out';
+  }
+
+  get userMessage() {
+    return 'The server took too long to respond. Try narrowing the filters or lowering the data limit.';
+  }
+}
+
+/**
+ * 触发限流（HTTP 429）
+ */
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests', { retryAfter = null, ...options } = {}) {
+    super(message, { status: 429, retryable: true, ...options });
+    this.name = 'RateLimitError';
+    this.kind = 'rate-limited';
+    // 服务器建议的等待时间（毫秒）
+    this.retryAfter = retryAfter;
+  }
+
+  get title() {
+    return 'Rate Limited';
+  }
+
+  get userMessage() {
+    const wait = this.retryAfter ? ` Please wait about ${Math.ceil(this.retryAfter / 1000)}s` : ' Please wait a moment';
+    return `The server is receiving too many requests.${wait} and try again.`;
+  }
+}
+
+/**
+ * 服务端返回错误状态码（5xx 视为暂时性错误，可重试）
+ */
+export class ServerError extends ApiError {
+  constructor(message = 'Server error', options = {}) {
+    super(message, { retryable: options.status >= 500, ...options });
+    this.name = 'ServerError';
+    this.kind = 'server';
+  }
+
+  get title() {
+    return this.status >= 500 ? 'Server Error' : 'Request Rejected';
+  }
+
+  get userMessage() {
+    if (this.status >= 500) {
+      return `The server failed to process the request (HTTP ${this.status}).`;
+    }
+    return `The server rejected the request (HTTP ${this.status}): ${this.message}`;
+  }
+}
+
+/**
+ * 响应结构与约定不符
+ */
+export class SchemaError extends ApiError {
+  constructor(message = 'Unexpected response format', options = {}) {
+    super(message, { retryable: false, ...options });
+    this.name = 'SchemaError';
+    this.kind = 'schema';
+  }
+
+  get title() {
+    return 'Unexpected Response';
+  }
+
+  get userMessage() {
+    return `The server returned data in an unexpected format: ${this.message}`;
+  }
+}
+
+/**
+ * 将任意错误转换为对应的 ApiError 子类
+ * @param {Error} error - axios 或其他来源的错误
+ * @returns {ApiError} 结构化错误
+ */
+export function normalizeApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new TimeoutError(error.message, { cause: error });
+  }
+
+  if (error?.response) {
+    const { status, data, headers } = error.response;
+    const message = data?.message || data?.error || error.message;
+
+    if (status === 429) {
+      return new RateLimitError(message, {
+        retryAfter: parseRetryAfter(headers?.['retry-after']),
+        cause: error
+      });
+    }
+    return new ServerError(message, { status, cause: error });
+  }
+
+  if (error?.request || error?.code === 'ERR_NETWORK') {
+    return new NetworkError(error.message, { cause: error });
+  }
+
+  return new ApiError(error?.message || String(error), { cause: error });
+}
+
+/**
+ * 生成面向用户的错误描述，非 ApiError 也能得到可读提示
+ * @param {Error|string} error - 错误对象
+ * @returns {Object} { kind, title, message, retryable }
+ */
+export function describeError(error) {
+  if (error instanceof ApiError) {
+    return {
+      kind: error.kind,
+      title: error.title,
+      message: error.userMessage,
+      retryable: error.retryable
+    };
+  }
+  return {
+    kind: 'unknown',
+    title: 'Unexpected Error',
+    message: error?.message || String(error || 'Unknown error'),
+    retryable: true
+  };
+}
+
+/**
+ * 判断是否为取消请求产生的错误
+ * @param {Error} error - 捕获到的错误
+ * @returns {boolean}
+ */
+export function isCancelError(error) {
+  return axios.isCancel(error) || error?.name === 'AbortError';
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期），返回毫秒
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
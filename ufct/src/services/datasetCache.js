@@ -0,0 +1,429 @@
+/**
+ * 数据集缓存服务 - 三个视图共用的多条目缓存
+ * 按数据来源（真实 / 模拟后端）+ 接口 + 查询参数区分条目，数据存放在 IndexedDB 中，
+ * 支持按接口设置 TTL，并在超出容量预算时按最近最少使用（LRU）淘汰
+ * 网络数据集还可以附带一份力导向布局（节点的最终位置），随数据集一起过期和淘汰
+ */
+
+import { getMockSettings } from '../config/mockConfig';
+
+const DB_NAME = 'networkCache';
+const DB_VERSION = 2;
+const DATA_STORE = 'datasets';
+const META_STORE = 'meta';
+const LAYOUT_STORE = 'layouts';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 各接口的缓存有效期（毫秒）
+ */
+export const CACHE_TTL = {
+  '/networks/citation': 24 * HOUR,
+  '/networks/collaboration': 24 * HOUR,
+  '/papers/statistics': 6 * HOUR,
+  default: 24 * HOUR
+};
+
+/**
+ * 缓存容量预算（按序列化后的 JSON 字符串估算，UTF-16 每字符 2 字节）
+ */
+export const CACHE_SIZE_BUDGET = 200 * 1024 * 1024;
+
+// 旧版本每个视图在 localStorage 中各存一份数据，打开新缓存时顺带清理
+const LEGACY_CACHE_KEYS = [
+  'citation_network_cache',
+  'collaboration_network_cache',
+  'paper_statistics_cache'
+];
+
+let backendPromise = null;
+
+/**
+ * 生成缓存键：数据来源 + 接口路径 + 按字母排序的非空参数
+ * 来源写入键中，切换模拟后端（或其规模、种子）后不会把另一来源的数据当作本来源的命中
+ * @param {string} endpoint - 接口路径，例如 '/networks/citation'
+ * @param {Object} params - 查询参数
+ * @returns {string} 缓存键，例如 'real:/networks/citation?year_min=2018'
+ */
+export function buildCacheKey(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  const path = query ? `${endpoint}?${query}` : endpoint;
+  return `${getDataSource()}:${path}`;
+}
+
+/**
+ * 当前生效的数据来源：'real'，或带规模与种子的 'mock-{size}-{seed}'
+ * @private
+ */
+function getDataSource() {
+  const mock = getMockSettings();
+  return mock.enabled ? `mock-${mock.size}-${mock.seed}` : 'real';
+}
+
+/**
+ * 读取缓存数据，未命中或已过期时返回 null
+ * @param {string} endpoint - 接口路径
+ * @param {Object} params - 查询参数
+ * @returns {Promise<Object|null>} 缓存的数据
+ */
+export async function getCachedDataset(endpoint, params = {}) {
+  const key = buildCacheKey(endpoint, params);
+  try {
+    const backend = await getBackend();
+    const meta = await backend.readMeta(key);
+    if (!meta) return null;
+
+    if (meta.expiresAt <= Date.now()) {
+      console.log(`⚠ Cache expired: ${key}`);
+      await backend.remove([key]);
+      return null;
+    }
+
+    const serialized = await backend.readData(key);
+    if (serialized === undefined) {
+      await backend.remove([key]);
+      return null;
+    }
+
+    await backend.writeMeta({ ...meta, lastAccess: Date.now() });
+    console.log(`✓ Using cached dataset: ${key}`);
+    return JSON.parse(serialized);
+  } catch (error) {
+    console.error('Failed to read cache:', error);
+    return null;
+  }
+}
+
+/**
+ * 写入缓存数据，写入后按 LRU 淘汰超出预算的条目
+ * @param {string} endpoint - 接口路径
+ * @param {Object} params - 查询参数
+ * @param {Object} data - 要缓存的数据
+ * @param {Object} options - { ttl } 覆盖接口默认的有效期
+ */
+export async function setCachedDataset(endpoint, params, data, options = {}) {
+  const key = buildCacheKey(endpoint, params);
+  try {
+    // 以 JSON 字符串存储：既能估算大小，也避免 Vue 响应式代理无法被结构化克隆
+    const serialized = JSON.stringify(data);
+    const size = serialized.length * 2;
+    if (size > CACHE_SIZE_BUDGET) {
+      console.warn(`⚠ Dataset too large to cache (${formatBytes(size)}): ${key}`);
+      return;
+    }
+
+    const now = Date.now();
+    const ttl = options.ttl || CACHE_TTL[endpoint] || CACHE_TTL.default;
+    const backend = await getBackend();
+
+    await backend.write({
+      key,
+      endpoint,
+      size,
+      createdAt: now,
+      lastAccess: now,
+      expiresAt: now + ttl
+    }, serialized);
+
+    await evictEntries(backend, key);
+    console.log(`✓ Dataset cached (${formatBytes(size)}): ${key}`);
+  } catch (error) {
+    console.error('Failed to save cache:', error);
+  }
+}
+
+/**
+ * 读取数据集附带的布局；数据集未缓存、已过期或还没有布局时返回 null
+ * @param {string} endpoint - 接口路径
+ * @param {Object} params - 查询参数
+ * @returns {Promise<Object|null>} id → [x, y]
+ */
+export async function getCachedLayout(endpoint, params = {}) {
+  const key = buildCacheKey(endpoint, params);
+  try {
+    const backend = await getBackend();
+    const meta = await backend.readMeta(key);
+    if (!meta || meta.expiresAt <= Date.now()) return null;
+    return (await backend.readLayout(key)) || null;
+  } catch (error) {
+    console.error('Failed to read cached layout:', error);
+    return null;
+  }
+}
+
+/**
+ * 保存数据集的布局，覆盖之前的布局；数据集不在缓存中时不保存
+ * @param {string} endpoint - 接口路径
+ * @param {Object} params - 查询参数
+ * @param {Object} positions - id → [x, y]
+ */
+export async function setCachedLayout(endpoint, params, positions) {
+  const key = buildCacheKey(endpoint, params);
+  try {
+    const backend = await getBackend();
+    const meta = await backend.readMeta(key);
+    if (!meta || meta.expiresAt <= Date.now()) return;
+    await backend.writeLayout(key, positions);
+  } catch (error) {
+    console.error('Failed to save layout:', error);
+  }
+}
+
+/**
+ * 删除单个缓存条目
+ */
+export async function removeCachedDataset(endpoint, params = {}) {
+  try {
+    const backend = await getBackend();
+    await backend.remove([buildCacheKey(endpoint, params)]);
+  } catch (error) {
+    console.error('Failed to remove cache entry:', error);
+  }
+}
+
+/**
+ * 清空全部缓存条目
+ */
+export async function clearDatasetCache() {
+  try {
+    const backend = await getBackend();
+    const metas = await backend.listMeta();
+    await backend.remove(metas.map(meta => meta.key));
+  } catch (error) {
+    console.error('Failed to clear cache:', error);
+  }
+}
+
+/**
+ * 先删除过期条目，再按最近访问时间从旧到新淘汰，直到总大小回到预算内
+ * @private
+ */
+async function evictEntries(backend, protectedKey) {
+  const now = Date.now();
+  const metas = await backend.listMeta();
+
+  const expired = metas.filter(meta => meta.expiresAt <= now);
+  const alive = metas.filter(meta => meta.expiresAt > now);
+
+  let totalSize = alive.reduce((sum, meta) => sum + meta.size, 0);
+  const evicted = expired.map(meta => meta.key);
+
+  alive
+    .filter(meta => meta.key !== protectedKey)
+    .sort((a, b) => a.lastAccess - b.lastAccess)
+    .forEach(meta => {
+      if (totalSize <= CACHE_SIZE_BUDGET) return;
+      evicted.push(meta.key);
+      totalSize -= meta.size;
+    });
+
+  if (evicted.length > 0) {
+    await backend.remove(evicted);
+    console.log(`🧹 Evicted ${evicted.length} cache entries`);
+  }
+}
+
+/**
+ * @private
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 获取存储后端：优先 IndexedDB，不可用时退回内存存储
+ * @private
+ */
+function getBackend() {
+  if (!backendPromise) {
+    purgeLegacyCache();
+    backendPromise = openIndexedDB()
+      .then(db => createIndexedDBBackend(db))
+      .catch(error => {
+        console.warn('IndexedDB unavailable, falling back to in-memory cache:', error);
+        return createMemoryBackend();
+      });
+  }
+  return backendPromise;
+}
+
+/**
+ * @private
+ */
+function purgeLegacyCache() {
+  try {
+    LEGACY_CACHE_KEYS.forEach(key => {
+      localStorage.removeItem(key);
+      localStorage.removeItem(`${key}_time`);
+      localStorage.removeItem(key.replace(/_cache$/, '_params'));
+    });
+  } catch (error) {
+    // localStorage 不可用时忽略
+  }
+}
+
+/**
+ * @private
+ */
+function openIndexedDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('indexedDB is not supported'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE);
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(LAYOUT_STORE)) {
+        db.createObjectStore(LAYOUT_STORE);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // 允许「清除缓存」删除数据库
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('indexedDB open blocked'));
+  });
+}
+
+/**
+ * @private
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @private
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * IndexedDB 存储后端：数据与元信息分表存放，淘汰时只需读取元信息
+ * @private
+ */
+function createIndexedDBBackend(db) {
+  return {
+    readMeta(key) {
+      const tx = db.transaction(META_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(META_STORE).get(key));
+    },
+    readData(key) {
+      const tx = db.transaction(DATA_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(DATA_STORE).get(key));
+    },
+    writeMeta(meta) {
+      const tx = db.transaction(META_STORE, 'readwrite');
+      tx.objectStore(META_STORE).put(meta);
+      return transactionDone(tx);
+    },
+    write(meta, data) {
+      const tx = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+      tx.objectStore(DATA_STORE).put(data, meta.key);
+      tx.objectStore(META_STORE).put(meta);
+      return transactionDone(tx);
+    },
+    readLayout(key) {
+      const tx = db.transaction(LAYOUT_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(LAYOUT_STORE).get(key));
+    },
+    writeLayout(key, positions) {
+      const tx = db.transaction(LAYOUT_STORE, 'readwrite');
+      tx.objectStore(LAYOUT_STORE).put(positions, key);
+      return transactionDone(tx);
+    },
+    listMeta() {
+      const tx = db.transaction(META_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(META_STORE).getAll());
+    },
+    remove(keys) {
+      if (keys.length === 0) return Promise.resolve();
+      const tx = db.transaction([DATA_STORE, META_STORE, LAYOUT_STORE], 'readwrite');
+      keys.forEach(key => {
+        tx.objectStore(DATA_STORE).delete(key);
+        tx.objectStore(META_STORE).delete(key);
+        tx.objectStore(LAYOUT_STORE).delete(key);
+      });
+      return transactionDone(tx);
+    }
+  };
+}
+
+/**
+ * 内存存储后端（隐私模式等 IndexedDB 不可用的场景），刷新页面后失效
+ * @private
+ */
+function createMemoryBackend() {
+  const metaMap = new Map();
+  const dataMap = new Map();
+  const layoutMap = new Map();
+
+  return {
+    async readMeta(key) {
+      return metaMap.get(key);
+    },
+    async readData(key) {
+      return dataMap.get(key);
+    },
+    async writeMeta(meta) {
+      metaMap.set(meta.key, meta);
+    },
+    async write(meta, data) {
+      metaMap.set(meta.key, meta);
+      dataMap.set(meta.key, data);
+    },
+    async readLayout(key) {
+      return layoutMap.get(key);
+    },
+    async writeLayout(key, positions) {
+      layoutMap.set(key, positions);
+    },
+    async listMeta() {
+      return Array.from(metaMap.values());
+    },
+    async remove(keys) {
+      keys.forEach(key => {
+        metaMap.delete(key);
+        dataMap.delete(key);
+        layoutMap.delete(key);
+      });
+    }
+  };
+}
+
+export default {
+  buildCacheKey,
+  getCachedDataset,
+  setCachedDataset,
+  getCachedLayout,
+  setCachedLayout,
+  removeCachedDataset,
+  clearDatasetCache
+};
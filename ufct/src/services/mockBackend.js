@@ -0,0 +1,672 @@
+/**
+ * 模拟后端 - axios 适配器
+ * 启用后所有 API 请求都在本地应答，返回与真实后端相同结构的合成数据，
+ * 前端开发与演示无需启动后端服务
+ */
+
+import axios from 'axios';
+import { getMockSettings } from '../config/mockConfig';
+import { sleep } from './retry';
+import { generateSyntheticCorpus } from '../utils/syntheticData';
+import { NDJSON_CONTENT_TYPE } from '../utils/ndjsonParser';
+
+// 引用直方图的分箱（与后端保持一致的区间表示）
+const HISTOGRAM_BINS = [
+  [0, 0],
+  [1, 5],
+  [6, 10],
+  [11, 20],
+  [21, 50],
+  [51, 100],
+  [101, Infinity]
+];
+
+const SEARCH_LIMIT = 20;
+const NEIGHBORHOOD_LIMIT = 50;
+const BRIDGE_MAX_LENGTH = 6;
+
+// NDJSON 流每块包含的记录数
+const STREAM_RECORDS_PER_CHUNK = 200;
+
+// 语料只在规模或种子变化时重新生成
+let cachedCorpus = null;
+let cachedCorpusKey = null;
+
+/**
+ * 路由表：按顺序匹配请求路径
+ * handler(query, corpus, match) 返回响应体中的 data 字段
+ * streamable 的路由在请求接受 NDJSON 时以流的形式应答
+ */
+const ROUTES = [
+  {
+    pattern: /^\/networks\/citation$/,
+    handler: (query, corpus) => paginateNetwork(buildCitationNetwork(corpus, query), query),
+    streamable: true
+  },
+  {
+    pattern: /^\/networks\/collaboration$/,
+    handler: (query, corpus) => paginateNetwork(buildCollaborationNetwork(corpus, query), query),
+    streamable: true
+  },
+  {
+    pattern: /^\/papers\/statistics$/,
+    handler: (query, corpus) => buildPaperStatistics(corpus, query)
+  },
+  {
+    pattern: /^\/(citation|collaboration)-network\/nodes\/(.+)\/neighbors$/,
+    handler: (query, corpus, match) => buildNeighborhood(corpus, match[1], decodeURIComponent(match[2]), query)
+  },
+  {
+    pattern: /^\/(citation|collaboration)-network\/nodes\/(.+)$/,
+    handler: (query, corpus, match) => buildNodeDetails(corpus, match[1], decodeURIComponent(match[2]))
+  },
+  {
+    pattern: /^\/(citation|collaboration)-network\/search$/,
+    handler: (query, corpus, match) => searchCorpus(corpus, match[1], query.query)
+  },
+  {
+    pattern: /^\/(citation|collaboration)-network\/path$/,
+    handler: (query, corpus, match) => buildBridgingPath(corpus, match[1], query)
+  }
+];
+
+/**
+ * axios 适配器：解析请求、模拟延迟并返回合成数据
+ * @param {Object} config - axios 请求配置
+ * @returns {Promise<Object>} axios 响应对象
+ */
+export async function mockAdapter(config) {
+  const settings = getMockSettings();
+  const path = (config.url || '').split('?')[0];
+  const query = config.params || {};
+
+  await sleep(settings.latency, config.signal);
+
+  const route = ROUTES.find(r => r.pattern.test(path));
+  if (!route) {
+    throw createErrorResponse(config, 404, `No mock handler for ${path}`);
+  }
+
+  const data = route.handler(query, getCorpus(settings), path.match(route.pattern));
+  if (data === null) {
+    throw createErrorResponse(config, 404, 'Resource not found');
+  }
+
+  console.log(`🧪 Mock response: ${path}`);
+  if (route.streamable && acceptsNdjson(config) && typeof ReadableStream !== 'undefined') {
+    return {
+      data: createNdjsonStream(data, settings.latency, config.signal),
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': NDJSON_CONTENT_TYPE },
+      config,
+      request: { mock: true }
+    };
+  }
+  return {
+    data: { status: 'success', data },
+    status: 200,
+    statusText: 'OK',
+    headers: { 'content-type': 'application/json' },
+    config,
+    request: { mock: true }
+  };
+}
+
+/**
+ * 获取当前设置对应的合成语料
+ * @param {Object} settings - { size, seed }
+ * @returns {Object} { papers, authors, paperById, authorById, citingIdsById }
+ */
+export function getCorpus(settings = getMockSettings()) {
+  const key = `${settings.size}:${settings.seed}`;
+  if (cachedCorpusKey !== key) {
+    const startTime = performance.now();
+    const corpus = generateSyntheticCorpus({ size: settings.size, seed: settings.seed });
+    cachedCorpus = {
+      ...corpus,
+      paperById: new Map(corpus.papers.map(paper => [paper.id, paper])),
+      authorById: new Map(corpus.authors.map(author => [author.id, author])),
+      citingIdsById: buildCitingIndex(corpus.papers)
+    };
+    cachedCorpusKey = key;
+    console.log(`🧪 Generated mock corpus: ${corpus.papers.length} papers, ${corpus.authors.length} authors in ${(performance.now() - startTime).toFixed(0)}ms`);
+  }
+  return cachedCorpus;
+}
+
+/**
+ * 反向引用索引：论文 ID -> 引用它的论文 ID 列表（语料中的 citedBy 只是计数）
+ * @private
+ */
+function buildCitingIndex(papers) {
+  const index = new Map();
+  papers.forEach(paper => {
+    paper.references.forEach(targetId => {
+      if (!index.has(targetId)) index.set(targetId, []);
+      index.get(targetId).push(paper.id);
+    });
+  });
+  return index;
+}
+
+/**
+ * 论文 → 后端节点格式
+ * @param {Object} paper - 合成论文
+ * @returns {Object} { id, label, node_type, metadata }
+ */
+export function toPaperNode(paper) {
+  return {
+    id: paper.id,
+    label: paper.title,
+    node_type: 'paper',
+    metadata: {
+      title: paper.title,
+      year: paper.year,
+      citation_count: paper.citationCount,
+      venue: paper.venue,
+      url: paper.id,
+      discipline: paper.discipline,
+      university: paper.university
+    }
+  };
+}
+
+/**
+ * 作者 → 后端节点格式
+ * @param {Object} author - 合成作者
+ * @param {number} paperCount - 当前筛选范围内的论文数
+ * @returns {Object} { id, label, node_type, metadata, community }
+ */
+export function toAuthorNode(author, paperCount = author.paperIds.length) {
+  return {
+    id: author.id,
+    label: author.name,
+    node_type: 'author',
+    community: author.community,
+    metadata: {
+      name: author.name,
+      orcid: author.orcid,
+      paper_count: paperCount,
+      affiliation: author.university
+    }
+  };
+}
+
+/**
+ * 按年份、机构、学科筛选论文
+ * @private
+ */
+function filterPapers(corpus, query) {
+  const yearMin = Number(query.year_min) || -Infinity;
+  const yearMax = Number(query.year_max) || Infinity;
+  const university = (query.university || '').trim().toLowerCase();
+  const discipline = query.discipline || '';
+  const topics = query.topics ? String(query.topics).split(',').map(t => t.trim()) : null;
+
+  return corpus.papers.filter(paper => {
+    if (paper.year < yearMin || paper.year > yearMax) return false;
+    if (university && !paper.university.toLowerCase().includes(university)) return false;
+    if (discipline && paper.discipline !== discipline && paper.topicId !== discipline && !paper.topics.includes(discipline)) {
+      return false;
+    }
+    if (topics && !topics.includes(paper.discipline) && !paper.topics.some(topic => topics.includes(topic))) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * @private
+ */
+function buildCitationNetwork(corpus, query) {
+  const limit = Number(query.limit) || 500;
+  const minCitations = Number(query.min_citations) || 0;
+
+  const selected = filterPapers(corpus, query)
+    .filter(paper => paper.citationCount >= minCitations)
+    .sort((a, b) => b.citationCount - a.citationCount)
+    .slice(0, limit);
+  const selectedIds = new Set(selected.map(paper => paper.id));
+
+  const edges = [];
+  selected.forEach(paper => {
+    paper.references.forEach(targetId => {
+      if (selectedIds.has(targetId)) {
+        edges.push({
+          source: paper.id,
+          target: targetId,
+          edge_type: 'cites',
+          weight: 1,
+          metadata: { citation_type: 'direct' }
+        });
+      }
+    });
+  });
+
+  return {
+    nodes: selected.map(toPaperNode),
+    edges,
+    metadata: buildNetworkMetadata(selected.length, edges.length)
+  };
+}
+
+/**
+ * @private
+ */
+function buildCollaborationNetwork(corpus, query) {
+  const limit = Number(query.limit) || 500;
+  const minCollaborations = Number(query.min_collaborations) || 1;
+  const papers = filterPapers(corpus, query);
+
+  const paperCounts = new Map();
+  const pairs = new Map();
+  papers.forEach(paper => {
+    const ids = paper.authorIds;
+    ids.forEach(id => paperCounts.set(id, (paperCounts.get(id) || 0) + 1));
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = ids[i] < ids[j] ? `${ids[i]}|${ids[j]}` : `${ids[j]}|${ids[i]}`;
+        if (!pairs.has(key)) pairs.set(key, []);
+        pairs.get(key).push(paper.id);
+      }
+    }
+  });
+
+  const selected = Array.from(paperCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+  const selectedIds = new Set(selected.map(([id]) => id));
+
+  const edges = [];
+  pairs.forEach((paperIds, key) => {
+    const [source, target] = key.split('|');
+    if (paperIds.length >= minCollaborations && selectedIds.has(source) && selectedIds.has(target)) {
+      edges.push({ source, target, weight: paperIds.length, papers: paperIds.slice(0, 20) });
+    }
+  });
+
+  const nodes = selected.map(([id, count]) => toAuthorNode(corpus.authorById.get(id), count));
+
+  const communitySizes = new Map();
+  nodes.forEach(node => communitySizes.set(node.community, (communitySizes.get(node.community) || 0) + 1));
+  const communities = Array.from(communitySizes.entries())
+    .map(([id, size]) => ({ id, size }))
+    .sort((a, b) => b.size - a.size);
+
+  return {
+    nodes,
+    edges,
+    communities,
+    metadata: buildNetworkMetadata(nodes.length, edges.length)
+  };
+}
+
+/**
+ * 按节点顺序分页（请求带 page_size 时），cursor 为下一页的起始偏移
+ * 每页只包含较晚一端落在本页的边，客户端逐页合并时不会出现悬空边
+ * @private
+ */
+function paginateNetwork(network, query) {
+  const pageSize = Number(query.page_size);
+  if (!pageSize) return network;
+
+  const totalNodes = network.nodes.length;
+  const offset = Math.max(0, Number(query.cursor) || 0);
+  const end = Math.min(offset + pageSize, totalNodes);
+  const order = new Map(network.nodes.map((node, index) => [node.id, index]));
+
+  const edges = network.edges.filter(edge => {
+    const lastIndex = Math.max(order.get(edge.source), order.get(edge.target));
+    return lastIndex >= offset && lastIndex < end;
+  });
+
+  const page = {
+    ...network,
+    nodes: network.nodes.slice(offset, end),
+    edges,
+    pagination: {
+      next_cursor: end < totalNodes ? String(end) : null,
+      has_more: end < totalNodes,
+      total_nodes: totalNodes,
+      total_edges: network.edges.length
+    }
+  };
+  // 社区列表只随第一页返回
+  if (network.communities && offset > 0) {
+    delete page.communities;
+  }
+  return page;
+}
+
+/**
+ * @private
+ */
+function acceptsNdjson(config) {
+  const accept = config.headers?.Accept || config.headers?.accept || '';
+  return String(accept).includes(NDJSON_CONTENT_TYPE);
+}
+
+/**
+ * 把网络数据编码为 NDJSON 流：先发送 metadata 与 pagination，再依次发送节点、边与社区，
+ * 块与块之间稍作停顿，模拟逐步到达的网络传输
+ * @private
+ */
+function createNdjsonStream(network, latency, signal) {
+  const records = [];
+  if (network.metadata) records.push({ type: 'metadata', data: network.metadata });
+  if (network.pagination) records.push({ type: 'pagination', data: network.pagination });
+  network.nodes.forEach(node => records.push({ type: 'node', data: node }));
+  network.edges.forEach(edge => records.push({ type: 'edge', data: edge }));
+  (network.communities || []).forEach(community => records.push({ type: 'community', data: community }));
+
+  const encoder = new TextEncoder();
+  const chunkDelay = Math.round(latency / 10);
+  let index = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (index >= records.length) {
+        controller.close();
+        return;
+      }
+      if (index > 0 && chunkDelay > 0) {
+        await sleep(chunkDelay, signal);
+      }
+      const lines = records
+        .slice(index, index + STREAM_RECORDS_PER_CHUNK)
+        .map(record => JSON.stringify(record))
+        .join('\n');
+      index += STREAM_RECORDS_PER_CHUNK;
+      controller.enqueue(encoder.encode(`${lines}\n`));
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function buildPaperStatistics(corpus, query) {
+  const yearMin = Number(query.year_min) || corpus.options.yearMin;
+  const yearMax = Number(query.year_max) || corpus.options.yearMax;
+  const papers = filterPapers(corpus, { ...query, year_min: yearMin, year_max: yearMax });
+
+  const papersByYear = new Map();
+  papers.forEach(paper => {
+    if (!papersByYear.has(paper.year)) papersByYear.set(paper.year, []);
+    papersByYear.get(paper.year).push(paper);
+  });
+
+  const timeline = [];
+  const histogramByYear = {};
+  let previousCount = null;
+  for (let year = yearMin; year <= yearMax; year++) {
+    const yearPapers = papersByYear.get(year) || [];
+    timeline.push({
+      year,
+      paperCount: yearPapers.length,
+      growth_rate: previousCount ? Number(((yearPapers.length - previousCount) / previousCount * 100).toFixed(2)) : null
+    });
+    histogramByYear[year] = buildHistogram(yearPapers);
+    previousCount = yearPapers.length;
+  }
+
+  const counts = papers.map(paper => paper.citationCount);
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  const mean = counts.length ? total / counts.length : 0;
+  const variance = counts.length ? counts.reduce((sum, c) => sum + (c - mean) ** 2, 0) / counts.length : 0;
+
+  return {
+    timeline,
+    global_histogram: buildHistogram(papers),
+    histogram_by_year: histogramByYear,
+    metadata: {
+      total_papers: papers.length,
+      total_citations: total,
+      avg_citation_count_per_paper: Number(mean.toFixed(2)),
+      max_citation_count: counts.reduce((max, c) => Math.max(max, c), 0),
+      min_citation_count: counts.length ? counts.reduce((min, c) => Math.min(min, c), Infinity) : 0,
+      citation_count_std_dev: Number(Math.sqrt(variance).toFixed(2)),
+      year_range: { min: yearMin, max: yearMax }
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function buildHistogram(papers) {
+  const counts = HISTOGRAM_BINS.map(() => 0);
+  papers.forEach(paper => {
+    const index = HISTOGRAM_BINS.findIndex(([start, end]) => paper.citationCount >= start && paper.citationCount <= end);
+    counts[index]++;
+  });
+
+  return HISTOGRAM_BINS.map(([start, end], index) => ({
+    bin_range: end === Infinity ? `${start - 1}+` : (start === end ? `${start}` : `${start}-${end}`),
+    bin_start: start,
+    bin_end: end === Infinity ? papers.reduce((max, p) => Math.max(max, p.citationCount), start) : end,
+    count: counts[index],
+    percentage: papers.length ? counts[index] / papers.length * 100 : 0
+  }));
+}
+
+/**
+ * @private
+ */
+function buildNodeDetails(corpus, networkType, nodeId) {
+  if (networkType === 'citation') {
+    const paper = corpus.paperById.get(nodeId);
+    if (!paper) return null;
+    const node = toPaperNode(paper);
+    return {
+      ...node,
+      metadata: {
+        ...node.metadata,
+        abstract: paper.abstract,
+        topics: [...paper.topics],
+        authors: paper.authorIds.map(id => {
+          const author = corpus.authorById.get(id);
+          return { id, name: author.name, affiliation: author.university };
+        }),
+        reference_count: paper.references.length,
+        cited_by_count: paper.citationCount
+      }
+    };
+  }
+
+  const author = corpus.authorById.get(nodeId);
+  if (!author) return null;
+  const node = toAuthorNode(author);
+  const topPapers = author.paperIds
+    .map(id => corpus.paperById.get(id))
+    .sort((a, b) => b.citationCount - a.citationCount)
+    .slice(0, 5)
+    .map(paper => ({ id: paper.id, title: paper.title, year: paper.year, citation_count: paper.citationCount }));
+
+  return {
+    ...node,
+    metadata: {
+      ...node.metadata,
+      affiliations: author.affiliations.map(item => ({ ...item })),
+      top_papers: topPapers
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function searchCorpus(corpus, networkType, rawQuery) {
+  const query = String(rawQuery || '').trim().toLowerCase();
+  if (!query) return [];
+
+  if (networkType === 'citation') {
+    return corpus.papers
+      .filter(paper => paper.title.toLowerCase().includes(query) || paper.id.toLowerCase().endsWith(query))
+      .sort((a, b) => b.citationCount - a.citationCount)
+      .slice(0, SEARCH_LIMIT)
+      .map(toPaperNode);
+  }
+
+  return corpus.authors
+    .filter(author => author.name.toLowerCase().includes(query) || author.id.toLowerCase().endsWith(query))
+    .sort((a, b) => b.paperIds.length - a.paperIds.length)
+    .slice(0, SEARCH_LIMIT)
+    .map(author => toAuthorNode(author));
+}
+
+/**
+ * 节点及其直接邻居：论文取参考文献与施引文献，作者取合作者，按重要程度保留前 limit 个
+ * @private
+ */
+function buildNeighborhood(corpus, networkType, nodeId, query) {
+  const limit = Number(query.limit) || NEIGHBORHOOD_LIMIT;
+
+  if (networkType === 'citation') {
+    const paper = corpus.paperById.get(nodeId);
+    if (!paper) return null;
+
+    const neighbors = [
+      ...paper.references.map(id => ({ paper: corpus.paperById.get(id), cites: true })),
+      ...(corpus.citingIdsById.get(paper.id) || []).map(id => ({ paper: corpus.paperById.get(id), cites: false }))
+    ]
+      .filter(entry => entry.paper)
+      .sort((a, b) => b.paper.citationCount - a.paper.citationCount)
+      .slice(0, limit);
+
+    const edges = neighbors.map(({ paper: neighbor, cites }) => ({
+      source: cites ? paper.id : neighbor.id,
+      target: cites ? neighbor.id : paper.id,
+      edge_type: 'cites',
+      weight: 1,
+      metadata: { citation_type: 'direct' }
+    }));
+    const nodes = [paper, ...neighbors.map(entry => entry.paper)].map(toPaperNode);
+    return { center: paper.id, nodes, edges, metadata: buildNetworkMetadata(nodes.length, edges.length) };
+  }
+
+  const author = corpus.authorById.get(nodeId);
+  if (!author) return null;
+
+  const shared = new Map();
+  author.paperIds.forEach(paperId => {
+    corpus.paperById.get(paperId).authorIds.forEach(coauthorId => {
+      if (coauthorId === author.id) return;
+      if (!shared.has(coauthorId)) shared.set(coauthorId, []);
+      shared.get(coauthorId).push(paperId);
+    });
+  });
+
+  const coauthors = Array.from(shared.entries())
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, limit);
+  const edges = coauthors.map(([coauthorId, paperIds]) => ({
+    source: author.id,
+    target: coauthorId,
+    weight: paperIds.length,
+    papers: paperIds.slice(0, 20)
+  }));
+  const nodes = [
+    toAuthorNode(author),
+    ...coauthors.map(([coauthorId]) => toAuthorNode(corpus.authorById.get(coauthorId)))
+  ];
+  return { center: author.id, nodes, edges, metadata: buildNetworkMetadata(nodes.length, edges.length) };
+}
+
+/**
+ * 完整语料中两点之间的最短路径（广度优先，引用不分方向），返回路径上的节点与相邻两点之间的边
+ * 端点不存在时为 null（404），超过 max_length 步仍不连通时 path 为空
+ * @private
+ */
+function buildBridgingPath(corpus, networkType, query) {
+  const isCitation = networkType === 'citation';
+  const lookup = isCitation ? corpus.paperById : corpus.authorById;
+  const source = String(query.source || '');
+  const target = String(query.target || '');
+  if (!lookup.has(source) || !lookup.has(target)) return null;
+  const maxLength = Number(query.max_length) || BRIDGE_MAX_LENGTH;
+
+  const neighborsOf = (id) => {
+    if (isCitation) {
+      return [...lookup.get(id).references, ...(corpus.citingIdsById.get(id) || [])];
+    }
+    return lookup.get(id).paperIds.flatMap(paperId => corpus.paperById.get(paperId).authorIds);
+  };
+
+  const previous = new Map([[source, null]]);
+  let frontier = [source];
+  for (let depth = 0; depth < maxLength && !previous.has(target) && frontier.length > 0; depth++) {
+    const next = [];
+    frontier.forEach(id => {
+      neighborsOf(id).forEach(neighborId => {
+        if (previous.has(neighborId) || !lookup.has(neighborId)) return;
+        previous.set(neighborId, id);
+        next.push(neighborId);
+      });
+    });
+    frontier = next;
+  }
+
+  if (!previous.has(target)) {
+    return { nodes: [], edges: [], path: [], metadata: buildNetworkMetadata(0, 0) };
+  }
+  const path = [target];
+  while (path[0] !== source) path.unshift(previous.get(path[0]));
+
+  const edges = path.slice(1).map((id, index) => {
+    const from = path[index];
+    if (isCitation) {
+      const cites = lookup.get(from).references.includes(id);
+      return {
+        source: cites ? from : id,
+        target: cites ? id : from,
+        edge_type: 'cites',
+        weight: 1,
+        metadata: { citation_type: 'direct' }
+      };
+    }
+    const shared = lookup.get(from).paperIds.filter(paperId => corpus.paperById.get(paperId).authorIds.includes(id));
+    return { source: from, target: id, weight: shared.length, papers: shared.slice(0, 20) };
+  });
+  const nodes = path.map(id => (isCitation ? toPaperNode(lookup.get(id)) : toAuthorNode(lookup.get(id))));
+  return { nodes, edges, path, metadata: buildNetworkMetadata(nodes.length, edges.length) };
+}
+
+/**
+ * @private
+ */
+function buildNetworkMetadata(nodeCount, edgeCount) {
+  const possibleEdges = nodeCount * (nodeCount - 1);
+  return {
+    total_nodes: nodeCount,
+    total_edges: edgeCount,
+    network_density: possibleEdges > 0 ? Number((edgeCount / possibleEdges).toFixed(6)) : 0,
+    avg_degree: nodeCount > 0 ? Number((2 * edgeCount / nodeCount).toFixed(2)) : 0,
+    source: 'mock'
+  };
+}
+
+/**
+ * 构造与 axios 一致的错误响应，便于统一归类为 ServerError
+ * @private
+ */
+function createErrorResponse(config, status, message) {
+  const response = {
+    data: { status: 'error', message },
+    status,
+    statusText: message,
+    headers: {},
+    config,
+    request: { mock: true }
+  };
+  return new axios.AxiosError(message, axios.AxiosError.ERR_BAD_REQUEST, config, response.request, response);
+}
+
+export default {
+  mockAdapter,
+  getCorpus,
+  toPaperNode,
+  toAuthorNode
+};
@@ -0,0 +1,129 @@
+/**
+ * NDJSON 网络流读取 - 边下载边解析，节点与边分批交给调用方
+ * 解析在 ndjsonWorker.js 中进行；浏览器不支持 Worker 时退回主线程
+ */
+
+import axios from 'axios';
+import { NetworkError, SchemaError } from './apiErrors';
+import { createNetworkStreamParser, DEFAULT_BATCH_SIZE } from '../utils/ndjsonParser';
+
+/**
+ * 读取并解析 NDJSON 网络流
+ * @param {ReadableStream} stream - 响应体
+ * @param {Object} options - { signal, onBatch, batchSize }
+ *   onBatch(batch): batch 为 { nodes, edges, communities, metadata, pagination }
+ * @returns {Promise<Object>} { metadata, pagination, nodeCount, edgeCount, lineCount }
+ *   取消时以 CanceledError 拒绝；格式错误抛出 SchemaError，连接中断抛出 NetworkError
+ */
+export function readNetworkStream(stream, options = {}) {
+  const { signal, onBatch = () => {}, batchSize = DEFAULT_BATCH_SIZE } = options;
+
+  if (signal?.aborted) {
+    return Promise.reject(new axios.CanceledError());
+  }
+
+  const reader = stream.getReader();
+  const worker = createParserWorker();
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let parser = null;
+
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (worker) worker.terminate();
+      callback(value);
+    };
+
+    const fail = (error) => {
+      reader.cancel().catch(() => {});
+      finish(reject, error);
+    };
+
+    function onAbort() {
+      fail(new axios.CanceledError());
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    if (worker) {
+      worker.onmessage = (event) => {
+        const { type, batch, summary, error } = event.data;
+        if (settled) return;
+        if (type === 'batch') {
+          onBatch(batch);
+        } else if (type === 'done') {
+          finish(resolve, summary);
+        } else if (type === 'error') {
+          fail(new SchemaError(`NDJSON stream: ${error}`));
+        }
+      };
+      worker.onerror = (event) => {
+        fail(new Error(event.message || 'NDJSON worker error'));
+      };
+      worker.postMessage({ type: 'start', batchSize });
+    } else {
+      parser = createNetworkStreamParser({ batchSize, onBatch });
+    }
+
+    const pump = async () => {
+      for (;;) {
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } catch (error) {
+          if (!settled) fail(signal?.aborted ? new axios.CanceledError() : new NetworkError(error.message, { cause: error }));
+          return;
+        }
+        if (settled) return;
+
+        if (chunk.done) {
+          if (worker) {
+            worker.postMessage({ type: 'end' });
+          } else {
+            finish(resolve, parser.end());
+          }
+          return;
+        }
+
+        if (worker) {
+          // 只转移完整拥有的缓冲区，视图只占一部分时先复制
+          const bytes = isWholeBuffer(chunk.value) ? chunk.value : chunk.value.slice();
+          worker.postMessage({ type: 'chunk', chunk: bytes.buffer }, [bytes.buffer]);
+        } else {
+          parser.push(chunk.value);
+        }
+      }
+    };
+
+    pump().catch(error => {
+      fail(error instanceof SchemaError ? error : new SchemaError(`NDJSON stream: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * @private
+ */
+function createParserWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../utils/ndjsonWorker.js', import.meta.url));
+  } catch (error) {
+    console.warn('NDJSON worker unavailable, parsing on the main thread:', error);
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function isWholeBuffer(view) {
+  return view.byteOffset === 0 && view.byteLength === view.buffer.byteLength;
+}
+
+export default {
+  readNetworkStream
+};
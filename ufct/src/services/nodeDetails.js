@@ -0,0 +1,92 @@
+/**
+ * 节点详情服务 - 按需请求论文 / 作者的完整信息，并按节点缓存
+ * 缓存只保存在内存中（切换数据源时页面会重新加载），超出容量时按最近最少使用淘汰
+ */
+
+import { fetchNodeDetails } from './api';
+import { transformNodeDetails } from '../utils/apiDataMapper';
+import { SchemaError } from './apiErrors';
+
+// 最多缓存的节点详情条数
+export const NODE_DETAILS_CACHE_LIMIT = 200;
+
+// Map 按插入顺序迭代，命中时重新插入即可实现 LRU
+const detailsCache = new Map();
+
+/**
+ * 读取已缓存的节点详情，不发起请求
+ * @param {string} nodeId - 节点ID
+ * @param {string} networkType - 'citation' | 'collaboration'
+ * @returns {Object|null} transformNodeDetails 的结果
+ */
+export function getCachedNodeDetails(nodeId, networkType = 'citation') {
+  const key = buildKey(nodeId, networkType);
+  if (!detailsCache.has(key)) return null;
+
+  const details = detailsCache.get(key);
+  detailsCache.delete(key);
+  detailsCache.set(key, details);
+  return details;
+}
+
+/**
+ * 获取节点详情：优先读缓存，未命中时请求后端并写入缓存
+ * @param {string} nodeId - 节点ID
+ * @param {string} networkType - 'citation' | 'collaboration'
+ * @param {Object} options - { signal } 用于取消请求的 AbortSignal
+ * @returns {Promise<Object>} { success, data, error, cancelled?, fromCache? }
+ */
+export async function loadNodeDetails(nodeId, networkType = 'citation', options = {}) {
+  const cached = getCachedNodeDetails(nodeId, networkType);
+  if (cached) {
+    return { success: true, data: cached, fromCache: true };
+  }
+
+  const result = await fetchNodeDetails(nodeId, networkType, options);
+  if (!result.success) {
+    return result;
+  }
+
+  const details = transformNodeDetails(result.data, networkType);
+  if (!details) {
+    return {
+      success: false,
+      error: new SchemaError(`Node details for ${nodeId} have an unexpected shape`),
+      data: null
+    };
+  }
+
+  storeDetails(buildKey(nodeId, networkType), details);
+  return { success: true, data: details };
+}
+
+/**
+ * 清空节点详情缓存
+ */
+export function clearNodeDetailsCache() {
+  detailsCache.clear();
+}
+
+/**
+ * @private
+ */
+function buildKey(nodeId, networkType) {
+  return `${networkType}:${nodeId}`;
+}
+
+/**
+ * @private
+ */
+function storeDetails(key, details) {
+  detailsCache.delete(key);
+  detailsCache.set(key, details);
+  while (detailsCache.size > NODE_DETAILS_CACHE_LIMIT) {
+    detailsCache.delete(detailsCache.keys().next().value);
+  }
+}
+
+export default {
+  getCachedNodeDetails,
+  loadNodeDetails,
+  clearNodeDetailsCache
+};
@@ -0,0 +1,84 @@
+/**
+ * 请求重试工具 - 指数退避 + 随机抖动
+ * 仅对暂时性错误（网络、限流、5xx）重试，取消请求时立即停止
+ * 超时不自动重试：单次请求的超时很长（API_TIMEOUT），重试会让界面长时间停在加载中
+ */
+
+import axios from 'axios';
+import { normalizeApiError, isCancelError, TimeoutError } from './apiErrors';
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,        // 首次请求之外的最大重试次数
+  baseDelay: 500,    // 第一次重试的基础等待时间（毫秒）
+  maxDelay: 10000    // 单次等待上限（毫秒），Retry-After 超过它时不再重试
+};
+
+/**
+ * 执行任务，失败时按指数退避重试
+ * @param {Function} task - (attempt) => Promise，每次尝试调用一次
+ * @param {Object} options - { retries, baseDelay, maxDelay, signal, onRetry }
+ * @returns {Promise} 任务结果；最终失败时抛出 ApiError
+ */
+export async function withRetry(task, options = {}) {
+  const { retries, baseDelay, maxDelay, signal, onRetry } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (isCancelError(error)) throw error;
+
+      const apiError = normalizeApiError(error);
+      if (!apiError.retryable || apiError instanceof TimeoutError || attempt >= retries) {
+        throw apiError;
+      }
+
+      // 服务端给出的 Retry-After 不能缩短；比等待上限还长时直接放弃，不提前重试
+      if (apiError.retryAfter > maxDelay) {
+        throw apiError;
+      }
+      const delay = apiError.retryAfter ?? computeBackoffDelay(attempt, baseDelay, maxDelay);
+      console.warn(`↻ ${apiError.name}, retrying in ${delay}ms (attempt ${attempt + 1}/${retries})`);
+      if (onRetry) onRetry(apiError, attempt + 1, delay);
+
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * 计算退避时间：指数增长，取一半固定 + 一半随机（equal jitter），
+ * 避免多个客户端在同一时刻集中重试
+ * @param {number} attempt - 已失败的次数（从 0 开始）
+ * @param {number} baseDelay - 基础等待时间
+ * @param {number} maxDelay - 等待上限
+ * @returns {number} 等待毫秒数
+ */
+export function computeBackoffDelay(attempt, baseDelay = DEFAULT_RETRY_OPTIONS.baseDelay, maxDelay = DEFAULT_RETRY_OPTIONS.maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * 可被取消的等待，取消时以 axios.CanceledError 拒绝（模拟后端的延迟也用它）
+ * @param {number} ms - 等待毫秒数
+ * @param {AbortSignal} signal - 可选的取消信号
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new axios.CanceledError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,316 @@
+/**
+ * 工作区存储 - 保存命名的分析现场，供团队反复打开或以 JSON 文件分享
+ * 一个工作区记录页面（路由名）、该页面的 URL query（筛选条件、选中节点、视口、年份与显示设置）
+ * 以及网络图的节点布局。数据存放在独立的 IndexedDB 数据库中，「清除缓存」不会删除
+ */
+
+import { getQueryValue } from '../utils/urlState';
+
+const DB_NAME = 'workspaces';
+const DB_VERSION = 1;
+const STORE = 'workspaces';
+
+const EXPORT_FORMAT = 'ufct-workspaces';
+const EXPORT_VERSION = 1;
+
+/**
+ * 可以保存为工作区的页面（路由名）及其显示名称
+ */
+export const WORKSPACE_VIEWS = {
+  CitationNetwork: 'Citation Network',
+  AuthorCollaboration: 'Author Collaboration',
+  PaperStatistics: 'Paper Statistics'
+};
+
+let backendPromise = null;
+
+/**
+ * 列出全部工作区，最近修改的在前
+ * @returns {Promise<Array>}
+ */
+export async function listWorkspaces() {
+  const backend = await getBackend();
+  const workspaces = await backend.list();
+  return workspaces.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 读取单个工作区
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getWorkspace(id) {
+  const backend = await getBackend();
+  return (await backend.get(id)) || null;
+}
+
+/**
+ * 保存当前页面为新的工作区
+ * @param {Object} state - { name, view, query, layout }，layout 为 { positions: { id: [x, y] } } 或 null
+ * @returns {Promise<Object>} 保存的工作区
+ */
+export async function saveWorkspace(state) {
+  const now = Date.now();
+  const workspace = normalizeWorkspace({ ...state, id: createId(), createdAt: now, updatedAt: now });
+  const backend = await getBackend();
+  await backend.put(workspace);
+  return workspace;
+}
+
+/**
+ * 重命名工作区
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<Object>} 修改后的工作区
+ */
+export async function renameWorkspace(id, name) {
+  const workspace = await requireWorkspace(id);
+  const renamed = { ...workspace, name: normalizeName(name), updatedAt: Date.now() };
+  const backend = await getBackend();
+  await backend.put(renamed);
+  return renamed;
+}
+
+/**
+ * 复制工作区，副本名称后加 "(copy)"
+ * @param {string} id
+ * @returns {Promise<Object>} 新的工作区
+ */
+export async function duplicateWorkspace(id) {
+  const workspace = await requireWorkspace(id);
+  return saveWorkspace({ ...workspace, name: `${workspace.name} (copy)` });
+}
+
+/**
+ * 删除工作区
+ * @param {string} id
+ */
+export async function deleteWorkspace(id) {
+  const backend = await getBackend();
+  await backend.remove(id);
+}
+
+/**
+ * 把工作区序列化为可分享的 JSON 文件内容
+ * @param {Array} workspaces - 要导出的工作区
+ * @returns {string}
+ */
+export function exportWorkspaces(workspaces) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspaces: workspaces.map(({ name, view, query, layout, createdAt }) => ({ name, view, query, layout, createdAt }))
+  }, null, 2);
+}
+
+/**
+ * 导入 exportWorkspaces 生成的 JSON（也接受单个工作区对象），导入的工作区使用新的 ID
+ * @param {string} text - 文件内容
+ * @returns {Promise<Array>} 导入的工作区
+ * @throws {Error} 文件不是工作区文件或内容无效时
+ */
+export async function importWorkspaces(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  let entries;
+  if (parsed && parsed.format === EXPORT_FORMAT) {
+    if (parsed.version > EXPORT_VERSION) {
+      throw new Error(`Workspace file version ${parsed.version} is newer than this app supports`);
+    }
+    entries = Array.isArray(parsed.workspaces) ? parsed.workspaces : [];
+  } else if (parsed && typeof parsed === 'object' && parsed.view) {
+    entries = [parsed];
+  } else {
+    throw new Error('The file does not contain workspaces');
+  }
+  if (entries.length === 0) {
+    throw new Error('The file does not contain workspaces');
+  }
+
+  const now = Date.now();
+  const workspaces = entries.map((entry, index) => {
+    if (!entry || !WORKSPACE_VIEWS[entry.view]) {
+      throw new Error(`Workspace ${index + 1} has an unknown view "${entry && entry.view}"`);
+    }
+    return normalizeWorkspace({
+      ...entry,
+      id: createId(),
+      createdAt: Number(entry.createdAt) || now,
+      updatedAt: now
+    });
+  });
+
+  const backend = await getBackend();
+  for (const workspace of workspaces) {
+    await backend.put(workspace);
+  }
+  return workspaces;
+}
+
+/**
+ * @private
+ */
+async function requireWorkspace(id) {
+  const workspace = await getWorkspace(id);
+  if (!workspace) throw new Error('The workspace no longer exists');
+  return workspace;
+}
+
+/**
+ * 整理工作区字段：query 只保留字符串值，布局只保留有效坐标
+ * @private
+ */
+function normalizeWorkspace(workspace) {
+  const query = {};
+  Object.entries(workspace.query || {}).forEach(([key, value]) => {
+    const text = getQueryValue(value);
+    if (text !== null && text !== '') query[key] = text;
+  });
+
+  let layout = null;
+  const positions = workspace.layout && workspace.layout.positions;
+  if (positions && typeof positions === 'object') {
+    const valid = {};
+    Object.entries(positions).forEach(([id, position]) => {
+      if (Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1])) {
+        valid[id] = [position[0], position[1]];
+      }
+    });
+    layout = Object.keys(valid).length > 0 ? { positions: valid } : null;
+  }
+
+  return {
+    id: workspace.id,
+    name: normalizeName(workspace.name),
+    view: workspace.view,
+    query,
+    layout,
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt
+  };
+}
+
+/**
+ * @private
+ */
+function normalizeName(name) {
+  const trimmed = String(name || '').trim();
+  return trimmed ? trimmed.slice(0, 120) : 'Untitled workspace';
+}
+
+/**
+ * @private
+ */
+function createId() {
+  return `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 获取存储后端：优先 IndexedDB，不可用时退回内存存储
+ * @private
+ */
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = openIndexedDB()
+      .then(db => createIndexedDBBackend(db))
+      .catch(error => {
+        console.warn('IndexedDB unavailable, workspaces are kept in memory only:', error);
+        return createMemoryBackend();
+      });
+  }
+  return backendPromise;
+}
+
+/**
+ * @private
+ */
+function openIndexedDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('indexedDB is not supported'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('indexedDB open blocked'));
+  });
+}
+
+/**
+ * @private
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @private
+ */
+function createIndexedDBBackend(db) {
+  const store = (mode) => db.transaction(STORE, mode).objectStore(STORE);
+  return {
+    list() {
+      return requestToPromise(store('readonly').getAll());
+    },
+    get(id) {
+      return requestToPromise(store('readonly').get(id));
+    },
+    put(workspace) {
+      return requestToPromise(store('readwrite').put(workspace));
+    },
+    remove(id) {
+      return requestToPromise(store('readwrite').delete(id));
+    }
+  };
+}
+
+/**
+ * 内存存储后端（隐私模式等 IndexedDB 不可用的场景），刷新页面后失效
+ * @private
+ */
+function createMemoryBackend() {
+  const workspaces = new Map();
+  return {
+    async list() {
+      return Array.from(workspaces.values());
+    },
+    async get(id) {
+      return workspaces.get(id);
+    },
+    async put(workspace) {
+      workspaces.set(workspace.id, workspace);
+    },
+    async remove(id) {
+      workspaces.delete(id);
+    }
+  };
+}
+
+export default {
+  WORKSPACE_VIEWS,
+  listWorkspaces,
+  getWorkspace,
+  saveWorkspace,
+  renameWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  exportWorkspaces,
+  importWorkspaces
+};
@@ -3,6 +3,12 @@
  * 处理真实的 API 响应格式转换
  */
 
+import {
+  validateCitationPayload,
+  validateCollaborationPayload,
+  validateStatisticsPayload
+} from './responseSchemas';
+
 /**
  * 将后端返回的节点数据转换为前端格式
  * 后端返回格式（新版本，没有 color 和 size）:
@@ -135,7 +141,8 @@ export function transformCitationEdges(apiEdges) {
  *       "avg_degree": 4.8
  *     }
  *   }
- * @returns {Object} { nodes, links, stats }
+ * @returns {Object} { nodes, links, stats, validation }
+ *   validation 为按 CITATION_NETWORK_SCHEMA 校验得到的报告（见 responseSchemas.js）
  */
 export function processApiCitationResponse(apiResponse) {
   try {
@@ -159,6 +166,13 @@ export function processApiCitationResponse(apiResponse) {
     const nodesList = data.nodes || (data.network && data.network.nodes) || [];
     const edgesList = data.edges || (data.network && data.network.edges) || [];
     
+    // 在转换之前校验原始数据，转换时填充的默认值会掩盖契约问题
+    const validation = validateCitationPayload({
+      nodes: nodesList,
+      edges: edgesList,
+      metadata: data.metadata
+    });
+
     const nodes = transformCitationNodes(nodesList);
     const links = transformCitationEdges(edgesList);
 
@@ -168,7 +182,8 @@ export function processApiCitationResponse(apiResponse) {
     return {
       nodes,
       links,
-      stats
+      stats,
+      validation
     };
   } catch (error) {
     console.error('Error processing API citation response:', error);
@@ -180,7 +195,7 @@ export function processApiCitationResponse(apiResponse) {
 /**
  * 处理作者协作网络的 API 响应
  * @param {Object} apiResponse - 后端 API 返回的数据 (已去掉最外层的 { status, data, ... })
- * @returns {Object} { nodes, links, stats, communities }
+ * @returns {Object} { nodes, links, stats, communities, validation }
  */
 export function processApiCollaborationResponse(apiResponse) {
   try {
@@ -210,6 +225,13 @@ export function processApiCollaborationResponse(apiResponse) {
     const edgesList = data.edges || (data.network && data.network.edges) || [];
     
     console.log('✓ 从响应中提取数据:', { nodes: nodesList.length, edges: edgesList.length });
+
+    const validation = validateCollaborationPayload({
+      nodes: nodesList,
+      edges: edgesList,
+      communities: data.communities,
+      metadata: data.metadata
+    });
     
     // 转换节点
     const nodes = transformCollaborationNodes(nodesList);
@@ -229,7 +251,8 @@ export function processApiCollaborationResponse(apiResponse) {
       nodes,
       links,
       stats,
-      communities
+      communities,
+      validation
     };
   } catch (error) {
     console.error('Error processing API collaboration response:', error);
@@ -310,6 +333,60 @@ export function transformCollaborationEdges(apiEdges) {
   return transformedEdges;
 }
 
+/**
+ * 将节点详情接口的返回转换为前端格式
+ * 后端返回格式：与网络接口中的节点相同，metadata 中带有额外字段
+ *   论文：abstract, authors [{ id, name, affiliation }], reference_count, cited_by_count, topics
+ *   作者：affiliations [{ institution, start_year, end_year }], top_papers [{ id, title, year, citation_count }]
+ * 缺失的字段为 null（列表为空数组），由调用方退回到网络数据中的字段
+ * @param {Object} apiResponse - 响应体（{ status, data } 或节点对象本身）
+ * @param {string} networkType - 'citation' | 'collaboration'
+ * @returns {Object|null} 论文：{ id, abstract, authors, referenceCount, citedByCount, topics }
+ *   作者：{ id, affiliations, topPapers }；无法识别时为 null
+ */
+export function transformNodeDetails(apiResponse, networkType = 'citation') {
+  const node = apiResponse && apiResponse.data && !apiResponse.id ? apiResponse.data : apiResponse;
+  if (!node || typeof node !== 'object' || !node.id) {
+    console.warn('Invalid node details format:', apiResponse);
+    return null;
+  }
+
+  const metadata = node.metadata || {};
+  const toNumber = value => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null);
+
+  if (networkType === 'citation') {
+    return {
+      id: node.id,
+      abstract: metadata.abstract || null,
+      authors: (Array.isArray(metadata.authors) ? metadata.authors : []).map(author => (
+        typeof author === 'string'
+          ? { id: null, name: author, affiliation: '' }
+          : { id: author.id || null, name: author.name || author.display_name || '', affiliation: author.affiliation || '' }
+      )),
+      referenceCount: toNumber(metadata.reference_count),
+      citedByCount: toNumber(metadata.cited_by_count),
+      topics: (Array.isArray(metadata.topics) ? metadata.topics : []).map(topic => (
+        typeof topic === 'string' ? topic : topic.name || topic.display_name || ''
+      )).filter(Boolean)
+    };
+  }
+
+  return {
+    id: node.id,
+    affiliations: (Array.isArray(metadata.affiliations) ? metadata.affiliations : []).map(item => ({
+      institution: item.institution || item.name || '',
+      startYear: toNumber(item.start_year),
+      endYear: toNumber(item.end_year)
+    })),
+    topPapers: (Array.isArray(metadata.top_papers) ? metadata.top_papers : []).map(paper => ({
+      id: paper.id,
+      title: paper.title || paper.id,
+      year: toNumber(paper.year),
+      citations: toNumber(paper.citation_count) || 0
+    }))
+  };
+}
+
 /**
  * 验证节点和边的数据完整性
  */
@@ -424,7 +501,7 @@ export function calculateNodeVisualizationProps(nodes, links) {
  *     "histogram_by_year": {...},
  *     "metadata": {...}
  *   }
- * @returns {Object} { timeline, globalHistogram, histogramByYear, metadata }
+ * @returns {Object} { timeline, globalHistogram, histogramByYear, metadata, validation }
  */
 export function processPaperStatisticsResponse(apiResponse) {
   try {
@@ -446,6 +523,8 @@ export function processPaperStatisticsResponse(apiResponse) {
       histogramYears: Object.keys(apiResponse.histogram_by_year || {}).length
     });
 
+    const validation = validateStatisticsPayload(apiResponse);
+
     // 处理时间线数据
     const timeline = (apiResponse.timeline || []).map(item => ({
       year: item.year,
@@ -525,7 +604,8 @@ export function processPaperStatisticsResponse(apiResponse) {
       timeline,
       globalHistogram,
       histogramByYear,
-      metadata
+      metadata,
+      validation
     };
   } catch (error) {
     console.error('Error processing statistics response:', error);
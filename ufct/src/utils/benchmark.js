@@ -0,0 +1,289 @@
+/**
+ * 渲染基准测试 - 用合成网络跑完整的 数据转换 → 清理 → 优化 → 样式 → 渲染 流程，
+ * 记录各阶段耗时、渲染后的帧率与内存占用，便于比较改动前后的性能
+ */
+
+import axios from 'axios';
+import { generateScaleFreeGraph, generateSmallWorldGraph } from './syntheticData';
+import {
+  transformCitationNodes,
+  transformCitationEdges,
+  transformCollaborationNodes,
+  transformCollaborationEdges
+} from './apiDataMapper';
+import * as graphUtils from './graphUtils';
+import { calculateNodeSizesFromData, calculateNodeColorsFromData, calculateLinkWidth } from './nodeEncoding';
+import { runInGraphWorker } from './graphWorkerClient';
+import { WebGLNetworkRenderer } from './webglNetworkRenderer';
+import { getRenderOptimizationParams } from '../config/optimizationConfig';
+
+export const BENCHMARK_SIZES = [1000, 5000, 20000, 50000];
+
+export const GRAPH_MODELS = {
+  'scale-free': {
+    label: 'Scale-free (Barabási–Albert)',
+    generate: (options) => generateScaleFreeGraph({ edgesPerNode: 2, ...options })
+  },
+  'small-world': {
+    label: 'Small-world (Watts–Strogatz)',
+    generate: (options) => generateSmallWorldGraph({ neighbors: 4, rewireProbability: 0.1, ...options })
+  }
+};
+
+/**
+ * 结果表的列定义（界面展示与 CSV 导出共用）
+ */
+export const BENCHMARK_COLUMNS = [
+  { key: 'model', label: 'Model' },
+  { key: 'networkType', label: 'Network' },
+  { key: 'nodes', label: 'Nodes' },
+  { key: 'edges', label: 'Edges' },
+  { key: 'renderedNodes', label: 'Rendered Nodes' },
+  { key: 'renderedLinks', label: 'Rendered Links' },
+  { key: 'generateMs', label: 'Generate (ms)' },
+  { key: 'transformMs', label: 'Transform (ms)' },
+  { key: 'cleanMs', label: 'Clean (ms)' },
+  { key: 'optimizeMs', label: 'Optimize (ms)' },
+  { key: 'workerOptimizeMs', label: 'Worker Optimize (ms)' },
+  { key: 'styleMs', label: 'Style (ms)' },
+  { key: 'renderMs', label: 'Render (ms)' },
+  { key: 'firstFrameMs', label: 'First Frame (ms)' },
+  { key: 'pipelineMs', label: 'Pipeline Total (ms)' },
+  { key: 'avgFps', label: 'Avg FPS' },
+  { key: 'worstFrameMs', label: 'Worst Frame (ms)' },
+  { key: 'heapMB', label: 'JS Heap (MB)' },
+  { key: 'heapDeltaMB', label: 'Heap Δ (MB)' }
+];
+
+/**
+ * 运行一个基准场景
+ * @param {Object} scenario - { nodeCount, model, networkType, seed, optimize, useWorker }
+ * @param {Object} options - { container, width, height, fpsDuration, signal, onStage }
+ *   container: 用于渲染的 DOM 元素；onStage(stageName) 在每个阶段开始时调用
+ * @returns {Promise<Object>} 一行结果（字段见 BENCHMARK_COLUMNS）
+ */
+export async function runBenchmarkScenario(scenario, options) {
+  const { nodeCount, model, networkType, seed = 42, optimize = true, useWorker = true } = scenario;
+  const { container, width = 800, height = 600, fpsDuration = 3000, signal, onStage = () => {} } = options;
+
+  const row = {
+    model,
+    networkType,
+    nodes: nodeCount
+  };
+  const heapBefore = readHeapUsage();
+
+  // 每个阶段之前让出一帧：界面可以更新进度，也能及时响应取消
+  const stage = async (name, key, task) => {
+    onStage(name);
+    await nextFrame();
+    throwIfAborted(signal);
+    const startTime = performance.now();
+    const result = await task();
+    row[key] = roundMs(performance.now() - startTime);
+    return result;
+  };
+
+  const raw = await stage('Generating graph', 'generateMs', () =>
+    GRAPH_MODELS[model].generate({ nodeCount, networkType, seed })
+  );
+  row.edges = raw.edges.length;
+
+  const mapped = await stage('Transforming API data', 'transformMs', () => (
+    networkType === 'citation'
+      ? { nodes: transformCitationNodes(raw.nodes), links: transformCitationEdges(raw.edges) }
+      : { nodes: transformCollaborationNodes(raw.nodes), links: transformCollaborationEdges(raw.edges) }
+  ));
+
+  let { nodes, links } = await stage('Cleaning', 'cleanMs', () => ({
+    nodes: graphUtils.cleanNodes(mapped.nodes),
+    links: graphUtils.cleanLinks(mapped.links)
+  }));
+
+  const params = getRenderOptimizationParams(nodes.length);
+  const optimizeOptions = {
+    maxNodes: params.maxNodes,
+    preserveTopPercent: params.preserveTopPercent,
+    enableCommunityMerge: params.enableCommunityMerge
+  };
+  const shouldOptimize = optimize && nodes.length > 100;
+
+  if (shouldOptimize && useWorker) {
+    // 同一份输入在 Worker 中再跑一遍优化，耗时包含结构化克隆的往返开销
+    await stage('Optimizing in worker', 'workerOptimizeMs', () =>
+      runInGraphWorker('optimizeGraph', { nodes, links, threshold: params.threshold, options: optimizeOptions }, { signal })
+    );
+  } else {
+    row.workerOptimizeMs = null;
+  }
+
+  if (shouldOptimize) {
+    const optimized = await stage('Optimizing', 'optimizeMs', () =>
+      graphUtils.optimizeGraphForPerformance(nodes, links, params.threshold, optimizeOptions)
+    );
+    nodes = optimized.nodes;
+    links = optimized.links;
+  } else {
+    row.optimizeMs = 0;
+  }
+  row.renderedNodes = nodes.length;
+  row.renderedLinks = links.length;
+
+  const styles = await stage('Computing styles', 'styleMs', () => {
+    graphUtils.calculateNodeDegrees(nodes, links);
+    return {
+      sizes: calculateNodeSizesFromData(nodes),
+      colors: calculateNodeColorsFromData(nodes)
+    };
+  });
+
+  const renderer = new WebGLNetworkRenderer(container, {
+    width,
+    height,
+    nodeRadius: 6,
+    linkDistance: 150,
+    chargeStrength: -1200,
+    collideRadius: 12
+  });
+
+  try {
+    renderer.initialize();
+
+    await stage('Rendering', 'renderMs', () => {
+      renderer.render(nodes, links, {
+        nodeRadius: (node) => styles.sizes[node.id] || 6,
+        nodeColor: (node) => styles.colors[node.id] || '#1f77b4',
+        linkColor: () => '#ccc',
+        linkWidth: calculateLinkWidth
+      });
+    });
+
+    const frameStart = performance.now();
+    await nextFrame();
+    row.firstFrameMs = roundMs(performance.now() - frameStart);
+
+    row.pipelineMs = roundMs(
+      row.transformMs + row.cleanMs + row.optimizeMs + row.styleMs + row.renderMs + row.firstFrameMs
+    );
+
+    onStage('Measuring frame rate');
+    const frameStats = await measureFrameRate(fpsDuration, signal);
+    row.avgFps = frameStats.avgFps;
+    row.worstFrameMs = frameStats.worstFrameMs;
+
+    const heapAfter = readHeapUsage();
+    row.heapMB = heapAfter !== null ? toMB(heapAfter) : null;
+    row.heapDeltaMB = heapAfter !== null && heapBefore !== null ? toMB(heapAfter - heapBefore) : null;
+  } finally {
+    renderer.clear();
+  }
+
+  return row;
+}
+
+/**
+ * 在给定时间内统计帧率（requestAnimationFrame 回调间隔）
+ * @param {number} duration - 采样时长（毫秒）
+ * @param {AbortSignal} signal - 取消信号（可选）
+ * @returns {Promise<Object>} { avgFps, worstFrameMs, frames }
+ */
+export function measureFrameRate(duration, signal) {
+  return new Promise((resolve, reject) => {
+    let frames = 0;
+    let worstFrame = 0;
+    let startTime = null;
+    let lastTime = null;
+
+    const tick = (now) => {
+      if (signal?.aborted) {
+        reject(new axios.CanceledError());
+        return;
+      }
+      if (startTime === null) {
+        startTime = now;
+      } else {
+        frames++;
+        worstFrame = Math.max(worstFrame, now - lastTime);
+      }
+      lastTime = now;
+
+      if (now - startTime >= duration) {
+        const elapsed = now - startTime;
+        resolve({
+          avgFps: elapsed > 0 ? Math.round(frames / elapsed * 1000 * 10) / 10 : 0,
+          worstFrameMs: roundMs(worstFrame),
+          frames
+        });
+        return;
+      }
+      requestAnimationFrame(tick);
+    };
+
+    requestAnimationFrame(tick);
+  });
+}
+
+/**
+ * 运行环境信息，随结果一起导出以便对比
+ * @returns {Object}
+ */
+export function collectEnvironmentInfo() {
+  return {
+    userAgent: navigator.userAgent,
+    hardwareConcurrency: navigator.hardwareConcurrency || null,
+    deviceMemoryGB: navigator.deviceMemory || null,
+    devicePixelRatio: window.devicePixelRatio,
+    heapLimitMB: performance.memory ? toMB(performance.memory.jsHeapSizeLimit) : null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 当前 JS 堆占用（字节），仅 Chromium 提供 performance.memory，其余浏览器返回 null
+ * @returns {number|null}
+ */
+export function readHeapUsage() {
+  return performance.memory ? performance.memory.usedJSHeapSize : null;
+}
+
+/**
+ * 等待浏览器绘制下一帧
+ * @returns {Promise<number>} 帧时间戳
+ */
+export function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+/**
+ * @private
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new axios.CanceledError();
+  }
+}
+
+/**
+ * @private
+ */
+function roundMs(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * @private
+ */
+function toMB(bytes) {
+  return Math.round(bytes / 1024 / 1024 * 10) / 10;
+}
+
+export default {
+  BENCHMARK_SIZES,
+  GRAPH_MODELS,
+  BENCHMARK_COLUMNS,
+  runBenchmarkScenario,
+  measureFrameRate,
+  collectEnvironmentInfo,
+  readHeapUsage,
+  nextFrame
+};
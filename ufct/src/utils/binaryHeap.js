@@ -0,0 +1,57 @@
+/**
+ * 二叉堆 - 最短路径与 s-core 分解共用的最小优先队列
+ */
+
+/**
+ * 最小堆：按优先级弹出元素；同一元素可以重复入堆，由调用方在出堆时跳过过期的条目
+ * @returns {Object} { size(), push(item, priority), pop() }
+ */
+export function createMinHeap() {
+  const items = [];
+  const priorities = [];
+
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+    [priorities[i], priorities[j]] = [priorities[j], priorities[i]];
+  };
+
+  return {
+    size: () => items.length,
+    push(item, priority) {
+      items.push(item);
+      priorities.push(priority);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (priorities[parent] <= priorities[i]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const lastItem = items.pop();
+      const lastPriority = priorities.pop();
+      if (items.length > 0) {
+        items[0] = lastItem;
+        priorities[0] = lastPriority;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && priorities[left] < priorities[smallest]) smallest = left;
+          if (right < items.length && priorities[right] < priorities[smallest]) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+export default {
+  createMinHeap
+};
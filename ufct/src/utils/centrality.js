@@ -0,0 +1,159 @@
+/**
+ * 节点中心性 - Brandes 介数中心性、接近中心性与调和中心性
+ * 边按无向、无权处理：引用的方向不影响论文在网络中的「桥梁」位置
+ * 三种指标共用同一批广度优先搜索；节点数超过上限时只从抽样的源节点出发，得到近似值
+ */
+
+import { createSeededRandom, shuffleInPlace } from './seededRandom';
+
+/**
+ * 不超过该节点数时从每个节点出发计算精确值
+ */
+export const EXACT_CENTRALITY_LIMIT = 2000;
+
+/**
+ * 近似计算时抽样的源节点数
+ */
+export const CENTRALITY_SAMPLE_SIZE = 500;
+
+/**
+ * 计算介数、接近与调和中心性，结果均归一化到 0-1
+ * - 介数：经过该节点的最短路径占比，除以 (n-1)(n-2)/2；抽样时按 n / 源节点数放大
+ * - 接近：Wasserman–Faust 形式 (r / (n-1)) × (r / 距离和)，r 为可达节点数，适用于不连通的图
+ * - 调和：到其余节点距离倒数的平均值，不可达计为 0
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 边数组，source / target 为 ID 或节点对象
+ * @param {Object} options - { exactLimit, samples, seed, onProgress(fraction) }
+ * @returns {Object} { betweenness, closeness, harmonic, exact, sources, nodeCount }，前三项为 id → 值
+ */
+export function calculateCentrality(nodes, links, options = {}) {
+  const {
+    exactLimit = EXACT_CENTRALITY_LIMIT,
+    samples = CENTRALITY_SAMPLE_SIZE,
+    seed = 'centrality',
+    onProgress = () => {}
+  } = options;
+
+  const { ids, adjacency } = buildAdjacency(nodes, links);
+  const n = ids.length;
+  const exact = n <= exactLimit || samples >= n;
+  const sources = exact ? ids.map((id, index) => index) : pickSources(n, samples, seed);
+  const k = sources.length;
+
+  const betweenness = new Float64Array(n);
+  const distanceSum = new Float64Array(n);
+  const inverseSum = new Float64Array(n);
+  const reached = new Uint32Array(n);
+  const isSource = new Uint8Array(n);
+
+  // 广度优先搜索的缓冲区，每个源节点复用
+  const distance = new Int32Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  const order = new Int32Array(n);
+  const progressStep = Math.max(1, Math.floor(k / 100));
+
+  sources.forEach((source, index) => {
+    isSource[source] = 1;
+    distance.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    distance[source] = 0;
+    sigma[source] = 1;
+    order[0] = source;
+
+    // 按距离顺序访问，同时累计最短路径条数
+    let head = 0;
+    let tail = 1;
+    while (head < tail) {
+      const v = order[head++];
+      const neighbors = adjacency[v];
+      for (let i = 0; i < neighbors.length; i++) {
+        const w = neighbors[i];
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          order[tail++] = w;
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+        }
+      }
+    }
+
+    // 按距离倒序回溯依赖值（前驱为距离小 1 的邻居，不必单独保存）
+    for (let i = tail - 1; i > 0; i--) {
+      const w = order[i];
+      const neighbors = adjacency[w];
+      for (let j = 0; j < neighbors.length; j++) {
+        const v = neighbors[j];
+        if (distance[v] === distance[w] - 1) {
+          delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+        }
+      }
+      betweenness[w] += delta[w];
+      distanceSum[w] += distance[w];
+      inverseSum[w] += 1 / distance[w];
+      reached[w]++;
+    }
+
+    if ((index + 1) % progressStep === 0 || index === k - 1) {
+      onProgress((index + 1) / k);
+    }
+  });
+
+  // 无向图中每对节点被两个端点各计一次，与 (n-1)(n-2)/2 的归一化相抵
+  const pairCount = (n - 1) * (n - 2);
+  const scale = k > 0 ? n / k : 0;
+  const result = {
+    betweenness: {},
+    closeness: {},
+    harmonic: {},
+    exact,
+    sources: k,
+    nodeCount: n
+  };
+  ids.forEach((id, v) => {
+    const others = k - isSource[v];
+    result.betweenness[id] = pairCount > 0 ? Math.min(1, (betweenness[v] * scale) / pairCount) : 0;
+    result.closeness[id] = others > 0 && distanceSum[v] > 0
+      ? (reached[v] / others) * (reached[v] / distanceSum[v])
+      : 0;
+    result.harmonic[id] = others > 0 ? inverseSum[v] / others : 0;
+  });
+  return result;
+}
+
+/**
+ * 节点 ID → 连续下标的无向邻接表，忽略自环、重复边与端点不在节点中的边
+ * @private
+ */
+function buildAdjacency(nodes, links) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const neighborSets = ids.map(() => new Set());
+
+  links.forEach(link => {
+    const source = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const target = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (source === undefined || target === undefined || source === target) return;
+    neighborSets[source].add(target);
+    neighborSets[target].add(source);
+  });
+
+  return { ids, adjacency: neighborSets.map(set => Array.from(set)) };
+}
+
+/**
+ * 按固定种子抽取源节点，同一数据集每次得到相同的近似值
+ * @private
+ */
+function pickSources(n, samples, seed) {
+  const indices = Array.from({ length: n }, (value, index) => index);
+  return shuffleInPlace(createSeededRandom(seed), indices).slice(0, samples);
+}
+
+export default {
+  EXACT_CENTRALITY_LIMIT,
+  CENTRALITY_SAMPLE_SIZE,
+  calculateCentrality
+};
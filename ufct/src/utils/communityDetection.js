@@ -0,0 +1,415 @@
+/**
+ * 社区发现 - Louvain 与 Leiden 模块度聚类
+ * 边按无向处理，权重取 link.weight（缺省为 1），同一对节点之间的多条边权重相加
+ * 节点访问顺序由固定种子打乱，同一数据集每次得到相同的划分
+ *
+ * Leiden 在 Louvain 的「局部移动 + 聚合」之间增加细分步骤：只在每个社区内部合并连接良好的子集，
+ * 保证得到的社区内部连通；细分时选择增益最大的子社区（确定性的贪心版本）
+ */
+
+import { createSeededRandom, shuffleInPlace } from './seededRandom';
+
+/**
+ * 可选的算法
+ */
+export const COMMUNITY_METHODS = {
+  leiden: 'Leiden',
+  louvain: 'Louvain'
+};
+
+export const DEFAULT_COMMUNITY_METHOD = 'leiden';
+
+// 结果中附带成员列表的社区数，以及每个社区列出的成员数
+const SUMMARIZED_COMMUNITIES = 50;
+const TOP_MEMBERS = 5;
+const MAX_LEVELS = 30;
+const MIN_GAIN = 1e-12;
+
+/**
+ * 划分社区
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 边数组，source / target 为 ID 或节点对象，可带 weight
+ * @param {Object} options - { method: 'leiden' | 'louvain', seed, onProgress(fraction) }
+ * @returns {Object} {
+ *   membership: id → 社区编号（按规模从大到小，0 为最大的社区）,
+ *   sizes: 各社区节点数, topMembers: 前 50 个社区中加权度数最高的成员 ID,
+ *   modularity, method, levels, nodeCount
+ * }
+ */
+export function detectCommunities(nodes, links, options = {}) {
+  const {
+    method = DEFAULT_COMMUNITY_METHOD,
+    seed = 'communities',
+    onProgress = () => {}
+  } = options;
+  if (!COMMUNITY_METHODS[method]) {
+    throw new Error(`Unknown community detection method: ${method}`);
+  }
+
+  const { ids, graph } = buildGraph(nodes, links);
+  const random = createSeededRandom(seed);
+  const run = method === 'leiden' ? runLeiden : runLouvain;
+  const { partition, levels } = run(graph, random, (remainingNodes) => {
+    onProgress(ids.length > 0 ? 1 - remainingNodes / ids.length : 1);
+  });
+
+  // 按规模从大到小重新编号
+  const counts = new Map();
+  partition.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+  const order = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a - b);
+  const rank = new Map(order.map((label, index) => [label, index]));
+  const community = Int32Array.from(partition, label => rank.get(label));
+
+  const membership = {};
+  const members = order.map(() => []);
+  ids.forEach((id, index) => {
+    membership[id] = community[index];
+    members[community[index]].push(index);
+  });
+
+  onProgress(1);
+  return {
+    membership,
+    sizes: members.map(list => list.length),
+    topMembers: members.slice(0, SUMMARIZED_COMMUNITIES).map(list => list
+      .sort((a, b) => graph.degree[b] - graph.degree[a])
+      .slice(0, TOP_MEMBERS)
+      .map(index => ids[index])),
+    modularity: calculateModularity(graph, community),
+    method,
+    levels,
+    nodeCount: ids.length
+  };
+}
+
+/**
+ * 给定划分的模块度 Q = Σc [ Σin(c) / 2m − (Σtot(c) / 2m)² ]
+ * @private
+ */
+function calculateModularity(graph, community) {
+  const { n, neighbors, weights, selfLoops, degree, totalWeight } = graph;
+  if (totalWeight === 0) return 0;
+  const internal = new Float64Array(n);
+  const total = new Float64Array(n);
+  for (let v = 0; v < n; v++) {
+    const c = community[v];
+    total[c] += degree[v];
+    internal[c] += selfLoops[v];
+    const list = neighbors[v];
+    for (let i = 0; i < list.length; i++) {
+      if (community[list[i]] === c) internal[c] += weights[v][i];
+    }
+  }
+  let q = 0;
+  for (let c = 0; c < n; c++) {
+    if (total[c] === 0) continue;
+    q += internal[c] / totalWeight - (total[c] / totalWeight) ** 2;
+  }
+  return q;
+}
+
+/**
+ * Louvain：反复按随机顺序扫描节点做局部移动，直到没有节点移动，然后把社区聚合为节点
+ * @private
+ */
+function runLouvain(graph, random, reportLevel) {
+  let current = graph;
+  let mapping = Int32Array.from({ length: graph.n }, (value, index) => index);
+  let levels = 0;
+
+  while (levels < MAX_LEVELS) {
+    const partition = Int32Array.from({ length: current.n }, (value, index) => index);
+    const moved = moveNodes(current, partition, random, false);
+    if (!moved) break;
+
+    const { labels, count } = renumber(partition);
+    mapping = mapping.map(node => labels[node]);
+    current = aggregate(current, labels, count);
+    levels++;
+    reportLevel(current.n);
+  }
+
+  return { partition: mapping, levels };
+}
+
+/**
+ * Leiden：快速局部移动 → 社区内细分 → 按细分结果聚合，聚合后的节点以所属社区为初始划分
+ * @private
+ */
+function runLeiden(graph, random, reportLevel) {
+  let current = graph;
+  let partition = Int32Array.from({ length: graph.n }, (value, index) => index);
+  let mapping = Int32Array.from({ length: graph.n }, (value, index) => index);
+  let levels = 0;
+
+  while (levels < MAX_LEVELS) {
+    moveNodes(current, partition, random, true);
+    const { labels: communityLabels, count: communityCount } = renumber(partition);
+    if (communityCount === current.n) {
+      partition = communityLabels;
+      break;
+    }
+
+    const refined = refinePartition(current, communityLabels, random);
+    const { labels, count } = renumber(refined);
+
+    // 聚合后的节点沿用其成员所在的社区作为初始划分
+    const nextPartition = new Int32Array(count);
+    for (let v = 0; v < current.n; v++) {
+      nextPartition[labels[v]] = communityLabels[v];
+    }
+
+    mapping = mapping.map(node => labels[node]);
+    current = aggregate(current, labels, count);
+    partition = nextPartition;
+    levels++;
+    reportLevel(current.n);
+  }
+
+  return { partition: mapping.map(node => partition[node]), levels };
+}
+
+/**
+ * 局部移动：把节点移到模块度增益最大的相邻社区
+ * queue 为 false 时按随机顺序整轮扫描直到稳定（Louvain）；
+ * 为 true 时只重新访问移动节点的邻居（Leiden 的快速局部移动）
+ * @returns {boolean} 是否有节点移动
+ * @private
+ */
+function moveNodes(graph, community, random, queue) {
+  const { n, neighbors, weights, degree, totalWeight } = graph;
+  if (totalWeight === 0) return false;
+
+  const total = new Float64Array(n);
+  for (let v = 0; v < n; v++) total[community[v]] += degree[v];
+
+  const weightTo = new Float64Array(n);
+  const touched = [];
+  const order = shuffleInPlace(random, Array.from({ length: n }, (value, index) => index));
+  const queued = new Uint8Array(n).fill(1);
+  let anyMoved = false;
+
+  const visit = (v) => {
+    const own = community[v];
+    const list = neighbors[v];
+    for (let i = 0; i < list.length; i++) {
+      const c = community[list[i]];
+      if (weightTo[c] === 0) touched.push(c);
+      weightTo[c] += weights[v][i];
+    }
+
+    total[own] -= degree[v];
+    let best = own;
+    let bestGain = weightTo[own] - (total[own] * degree[v]) / totalWeight;
+    touched.forEach(c => {
+      const gain = weightTo[c] - (total[c] * degree[v]) / totalWeight;
+      if (gain > bestGain + MIN_GAIN) {
+        best = c;
+        bestGain = gain;
+      }
+    });
+    total[best] += degree[v];
+    touched.forEach(c => {
+      weightTo[c] = 0;
+    });
+    touched.length = 0;
+
+    if (best === own) return false;
+    community[v] = best;
+    return true;
+  };
+
+  if (queue) {
+    let head = 0;
+    while (head < order.length) {
+      const v = order[head++];
+      queued[v] = 0;
+      if (!visit(v)) continue;
+      anyMoved = true;
+      const list = neighbors[v];
+      for (let i = 0; i < list.length; i++) {
+        const u = list[i];
+        if (!queued[u] && community[u] !== community[v]) {
+          queued[u] = 1;
+          order.push(u);
+        }
+      }
+    }
+    return anyMoved;
+  }
+
+  let moved = true;
+  while (moved) {
+    moved = false;
+    order.forEach(v => {
+      if (visit(v)) moved = true;
+    });
+    if (moved) anyMoved = true;
+  }
+  return anyMoved;
+}
+
+/**
+ * Leiden 细分：每个社区内从单节点开始，只把仍是单节点且连接良好的节点
+ * 并入同一社区内连接良好、增益最大的子社区
+ * @returns {Int32Array} 细分后的标签
+ * @private
+ */
+function refinePartition(graph, community, random) {
+  const { n, neighbors, weights, degree, totalWeight } = graph;
+  const refined = Int32Array.from({ length: n }, (value, index) => index);
+  const refinedTotal = Float64Array.from(degree);
+  // 子社区与所在社区其余部分之间的边权
+  const external = new Float64Array(n);
+  const singleton = new Uint8Array(n).fill(1);
+  const communityTotal = new Float64Array(n);
+  for (let v = 0; v < n; v++) communityTotal[community[v]] += degree[v];
+
+  for (let v = 0; v < n; v++) {
+    const list = neighbors[v];
+    for (let i = 0; i < list.length; i++) {
+      if (community[list[i]] === community[v]) external[v] += weights[v][i];
+    }
+  }
+
+  const weightTo = new Float64Array(n);
+  const touched = [];
+  const order = shuffleInPlace(random, Array.from({ length: n }, (value, index) => index));
+
+  order.forEach(v => {
+    if (!singleton[v] || refined[v] !== v) return;
+    const c = community[v];
+    const internalDegree = external[v];
+    if (internalDegree < (degree[v] * (communityTotal[c] - degree[v])) / totalWeight) return;
+
+    const list = neighbors[v];
+    for (let i = 0; i < list.length; i++) {
+      const u = list[i];
+      if (community[u] !== c) continue;
+      const s = refined[u];
+      if (s === v) continue;
+      if (weightTo[s] === 0) touched.push(s);
+      weightTo[s] += weights[v][i];
+    }
+
+    let best = -1;
+    let bestGain = 0;
+    touched.forEach(s => {
+      const wellConnected = external[s] >= (refinedTotal[s] * (communityTotal[c] - refinedTotal[s])) / totalWeight;
+      const gain = weightTo[s] - (refinedTotal[s] * degree[v]) / totalWeight;
+      if (wellConnected && gain > bestGain + MIN_GAIN) {
+        best = s;
+        bestGain = gain;
+      }
+    });
+
+    if (best >= 0) {
+      refined[v] = best;
+      refinedTotal[best] += degree[v];
+      external[best] += internalDegree - 2 * weightTo[best];
+      singleton[best] = 0;
+      singleton[v] = 0;
+    }
+    touched.forEach(s => {
+      weightTo[s] = 0;
+    });
+    touched.length = 0;
+  });
+
+  // 合并链上的节点指向最终的子社区
+  return refined.map(label => {
+    let root = label;
+    while (refined[root] !== root) root = refined[root];
+    return root;
+  });
+}
+
+/**
+ * 把标签重新编号为 0..count-1
+ * @private
+ */
+function renumber(partition) {
+  const index = new Map();
+  const labels = Int32Array.from(partition, label => {
+    if (!index.has(label)) index.set(label, index.size);
+    return index.get(label);
+  });
+  return { labels, count: index.size };
+}
+
+/**
+ * 按标签聚合：每个标签成为一个节点，内部边权计入自环，标签之间的边权相加
+ * @private
+ */
+function aggregate(graph, labels, count) {
+  const selfLoops = new Float64Array(count);
+  const edgeMaps = Array.from({ length: count }, () => new Map());
+
+  for (let v = 0; v < graph.n; v++) {
+    const a = labels[v];
+    selfLoops[a] += graph.selfLoops[v];
+    const list = graph.neighbors[v];
+    for (let i = 0; i < list.length; i++) {
+      const b = labels[list[i]];
+      const weight = graph.weights[v][i];
+      if (a === b) {
+        selfLoops[a] += weight;
+      } else {
+        edgeMaps[a].set(b, (edgeMaps[a].get(b) || 0) + weight);
+      }
+    }
+  }
+
+  return createGraph(
+    edgeMaps.map(map => Int32Array.from(map.keys())),
+    edgeMaps.map(map => Float64Array.from(map.values())),
+    selfLoops
+  );
+}
+
+/**
+ * 节点 ID → 连续下标的加权无向图，忽略自环与端点不在节点中的边
+ * @private
+ */
+function buildGraph(nodes, links) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const edgeMaps = ids.map(() => new Map());
+
+  links.forEach(link => {
+    const source = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const target = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (source === undefined || target === undefined || source === target) return;
+    const weight = Number(link.weight) > 0 ? Number(link.weight) : 1;
+    edgeMaps[source].set(target, (edgeMaps[source].get(target) || 0) + weight);
+    edgeMaps[target].set(source, (edgeMaps[target].get(source) || 0) + weight);
+  });
+
+  const graph = createGraph(
+    edgeMaps.map(map => Int32Array.from(map.keys())),
+    edgeMaps.map(map => Float64Array.from(map.values())),
+    new Float64Array(ids.length)
+  );
+  return { ids, graph };
+}
+
+/**
+ * 度数 k = 自环 + 边权之和，totalWeight 为 2m
+ * @private
+ */
+function createGraph(neighbors, weights, selfLoops) {
+  const n = neighbors.length;
+  const degree = new Float64Array(n);
+  let totalWeight = 0;
+  for (let v = 0; v < n; v++) {
+    degree[v] = selfLoops[v] + weights[v].reduce((sum, weight) => sum + weight, 0);
+    totalWeight += degree[v];
+  }
+  return { n, neighbors, weights, selfLoops, degree, totalWeight };
+}
+
+export default {
+  COMMUNITY_METHODS,
+  DEFAULT_COMMUNITY_METHOD,
+  detectCommunities
+};
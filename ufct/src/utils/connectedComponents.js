@@ -0,0 +1,198 @@
+/**
+ * 连通分量 - 弱连通分量（忽略边的方向）与有向引用图的强连通分量
+ * 线性时间，在主线程上计算：渲染时按分量筛选节点需要同步拿到结果
+ */
+
+/**
+ * 分量规模直方图的分箱上界：1、2、3–4、5–8 … 按 2 的幂增长
+ */
+const HISTOGRAM_BASE = 2;
+
+/**
+ * 计算连通分量
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 边数组，source / target 为 ID 或节点对象
+ * @param {Object} options - { directed }：为 true 时另外计算强连通分量
+ * @returns {Object} { weak, strong, nodeCount }，weak / strong 为
+ *   { membership: id → 分量编号（按规模从大到小，0 为最大分量）, sizes }，无向图的 strong 为 null
+ */
+export function findConnectedComponents(nodes, links, options = {}) {
+  const { directed = false } = options;
+  const { ids, edges } = indexEdges(nodes, links);
+
+  return {
+    weak: toComponents(ids, weakLabels(ids.length, edges)),
+    strong: directed ? toComponents(ids, strongLabels(ids.length, edges)) : null,
+    nodeCount: ids.length
+  };
+}
+
+/**
+ * 按分量筛选节点与边
+ * @param {Array} nodes - 节点数组
+ * @param {Array} links - 边数组
+ * @param {Object} components - findConnectedComponents 的 weak 或 strong
+ * @param {Object} options - { mode: 'giant' | 'min', minSize, preserveNodeIds }
+ *   giant 只保留最大分量，min 隐藏小于 minSize 的分量；preserveNodeIds 所在的分量总是保留
+ * @returns {Object} { nodes, links }
+ */
+export function filterComponents(nodes, links, components, options = {}) {
+  const { mode = 'giant', minSize = 1, preserveNodeIds = [] } = options;
+  const { membership, sizes } = components;
+  const kept = new Set(preserveNodeIds.map(id => membership[id]).filter(index => index !== undefined));
+  sizes.forEach((size, index) => {
+    if (mode === 'giant' ? index === 0 : size >= minSize) kept.add(index);
+  });
+
+  const filteredNodes = nodes.filter(node => kept.has(membership[node.id]));
+  const nodeIds = new Set(filteredNodes.map(node => node.id));
+  const filteredLinks = links.filter(link => {
+    const source = typeof link.source === 'object' ? link.source.id : link.source;
+    const target = typeof link.target === 'object' ? link.target.id : link.target;
+    return nodeIds.has(source) && nodeIds.has(target);
+  });
+  return { nodes: filteredNodes, links: filteredLinks };
+}
+
+/**
+ * 分量规模直方图
+ * @param {Array<number>} sizes - 各分量的节点数
+ * @returns {Array} [{ label, min, max, count, nodes }]，nodes 为该箱内分量的节点总数
+ */
+export function getComponentSizeHistogram(sizes) {
+  const largest = sizes.length > 0 ? sizes[0] : 0;
+  const bins = [];
+  for (let min = 1, max = 1; min <= largest; min = max + 1, max *= HISTOGRAM_BASE) {
+    bins.push({ label: min === max ? String(min) : `${min}–${max}`, min, max, count: 0, nodes: 0 });
+  }
+  sizes.forEach(size => {
+    const bin = bins.find(candidate => size <= candidate.max);
+    bin.count++;
+    bin.nodes += size;
+  });
+  return bins.filter(bin => bin.count > 0);
+}
+
+/**
+ * 节点 ID → 连续下标的边表，忽略自环与端点不在节点中的边
+ * @private
+ */
+function indexEdges(nodes, links) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const edges = [];
+  links.forEach(link => {
+    const source = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const target = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (source === undefined || target === undefined || source === target) return;
+    edges.push([source, target]);
+  });
+  return { ids, edges };
+}
+
+/**
+ * 并查集求弱连通分量，返回各节点的根
+ * @private
+ */
+function weakLabels(n, edges) {
+  const parent = Int32Array.from({ length: n }, (value, index) => index);
+  const find = (v) => {
+    let root = v;
+    while (parent[root] !== root) root = parent[root];
+    while (parent[v] !== root) {
+      const next = parent[v];
+      parent[v] = root;
+      v = next;
+    }
+    return root;
+  };
+  edges.forEach(([source, target]) => {
+    const a = find(source);
+    const b = find(target);
+    if (a !== b) parent[a] = b;
+  });
+  return Int32Array.from({ length: n }, (value, index) => find(index));
+}
+
+/**
+ * 迭代版 Tarjan 算法求强连通分量（避免大图递归栈溢出），返回各节点的分量标签
+ * @private
+ */
+function strongLabels(n, edges) {
+  const outgoing = Array.from({ length: n }, () => []);
+  edges.forEach(([source, target]) => outgoing[source].push(target));
+
+  const index = new Int32Array(n).fill(-1);
+  const lowLink = new Int32Array(n);
+  const onStack = new Uint8Array(n);
+  const labels = new Int32Array(n);
+  const stack = [];
+  // 深度优先搜索的调用栈：[节点, 下一条要访问的出边]
+  const callStack = [];
+  let counter = 0;
+  let componentCount = 0;
+
+  for (let start = 0; start < n; start++) {
+    if (index[start] >= 0) continue;
+    callStack.push([start, 0]);
+
+    while (callStack.length > 0) {
+      const frame = callStack[callStack.length - 1];
+      const v = frame[0];
+      if (frame[1] === 0 && index[v] < 0) {
+        index[v] = lowLink[v] = counter++;
+        stack.push(v);
+        onStack[v] = 1;
+      }
+
+      if (frame[1] < outgoing[v].length) {
+        const w = outgoing[v][frame[1]++];
+        if (index[w] < 0) {
+          callStack.push([w, 0]);
+        } else if (onStack[w]) {
+          lowLink[v] = Math.min(lowLink[v], index[w]);
+        }
+        continue;
+      }
+
+      callStack.pop();
+      if (callStack.length > 0) {
+        const parent = callStack[callStack.length - 1][0];
+        lowLink[parent] = Math.min(lowLink[parent], lowLink[v]);
+      }
+      if (lowLink[v] === index[v]) {
+        let w;
+        do {
+          w = stack.pop();
+          onStack[w] = 0;
+          labels[w] = componentCount;
+        } while (w !== v);
+        componentCount++;
+      }
+    }
+  }
+  return labels;
+}
+
+/**
+ * 标签 → 按规模从大到小编号的分量
+ * @private
+ */
+function toComponents(ids, labels) {
+  const counts = new Map();
+  labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+  const order = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a - b);
+  const rank = new Map(order.map((label, position) => [label, position]));
+
+  const membership = {};
+  ids.forEach((id, position) => {
+    membership[id] = rank.get(labels[position]);
+  });
+  return { membership, sizes: order.map(label => counts.get(label)) };
+}
+
+export default {
+  findConnectedComponents,
+  filterComponents,
+  getComponentSizeHistogram
+};
@@ -0,0 +1,176 @@
+/**
+ * 核分解 - k-core（按度数）与加权的 s-core（按强度，即相连边的 weight 之和）
+ * 节点的核数是它所在的最高层核：反复删去度数（强度）最小的节点，删除时的最小值即核数
+ * 边按无向处理，同一对节点之间的多条边合并（s-core 中权重相加），忽略自环
+ * 在主线程上计算：渲染时按核数筛选节点需要同步拿到结果
+ */
+
+import { createMinHeap } from './binaryHeap';
+
+/**
+ * 核分解的两种度量
+ */
+export const CORE_METRICS = {
+  degree: 'Degree (k-core)',
+  strength: 'Link weight (s-core)'
+};
+
+/**
+ * 计算各节点的 k-core 与 s-core 核数
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 边数组，source / target 为 ID 或节点对象，可带 weight（缺省为 1）
+ * @returns {Object} { degree, strength, nodeCount }，degree / strength 为
+ *   { cores: id → 核数, levels: 出现过的核数（从小到大）, max }
+ */
+export function calculateCoreNumbers(nodes, links) {
+  const { ids, adjacency } = buildGraph(nodes, links);
+  return {
+    degree: toCores(ids, degreeCores(adjacency)),
+    strength: toCores(ids, strengthCores(adjacency)),
+    nodeCount: ids.length
+  };
+}
+
+/**
+ * 只保留核数不小于 minCore 的节点及其之间的边
+ * @param {Array} nodes - 节点数组
+ * @param {Array} links - 边数组
+ * @param {Object} cores - calculateCoreNumbers 的 degree 或 strength
+ * @param {Object} options - { minCore, preserveNodeIds }：preserveNodeIds 中的节点总是保留
+ * @returns {Object} { nodes, links }
+ */
+export function filterCores(nodes, links, cores, options = {}) {
+  const { minCore = 0, preserveNodeIds = [] } = options;
+  const preserved = new Set(preserveNodeIds);
+  const filteredNodes = nodes.filter(node => preserved.has(node.id) || (cores.cores[node.id] ?? 0) >= minCore);
+  const nodeIds = new Set(filteredNodes.map(node => node.id));
+  const filteredLinks = links.filter(link => {
+    const source = typeof link.source === 'object' ? link.source.id : link.source;
+    const target = typeof link.target === 'object' ? link.target.id : link.target;
+    return nodeIds.has(source) && nodeIds.has(target);
+  });
+  return { nodes: filteredNodes, links: filteredLinks };
+}
+
+/**
+ * Batagelj–Zaversnik 算法：按度数分桶，线性时间求 k-core 核数
+ * @private
+ */
+function degreeCores(adjacency) {
+  const n = adjacency.length;
+  const degree = Int32Array.from(adjacency, neighbors => neighbors.size);
+  const maxDegree = degree.reduce((max, value) => Math.max(max, value), 0);
+
+  // 按度数计数排序：order 为排好序的节点，position 为节点在 order 中的位置，binStart 为各度数的起点
+  const binStart = new Int32Array(maxDegree + 1);
+  degree.forEach(value => binStart[value]++);
+  for (let d = 0, start = 0; d <= maxDegree; d++) {
+    const count = binStart[d];
+    binStart[d] = start;
+    start += count;
+  }
+  const order = new Int32Array(n);
+  const position = new Int32Array(n);
+  const next = Int32Array.from(binStart);
+  for (let v = 0; v < n; v++) {
+    position[v] = next[degree[v]]++;
+    order[position[v]] = v;
+  }
+
+  for (let i = 0; i < n; i++) {
+    const v = order[i];
+    adjacency[v].forEach((weight, w) => {
+      if (degree[w] <= degree[v]) return;
+      // 把 w 与其度数桶中的第一个节点交换，再把桶的起点后移，w 的度数减一
+      const d = degree[w];
+      const first = order[binStart[d]];
+      if (first !== w) {
+        order[position[w]] = first;
+        order[binStart[d]] = w;
+        position[first] = position[w];
+        position[w] = binStart[d];
+      }
+      binStart[d]++;
+      degree[w]--;
+    });
+  }
+  return degree;
+}
+
+/**
+ * s-core：每次删去当前强度最小的节点，核数为删除时的强度与此前核数的较大值
+ * @private
+ */
+function strengthCores(adjacency) {
+  const n = adjacency.length;
+  const strength = new Float64Array(n);
+  adjacency.forEach((neighbors, v) => {
+    neighbors.forEach(weight => {
+      strength[v] += weight;
+    });
+  });
+
+  const removed = new Uint8Array(n);
+  const cores = new Float64Array(n);
+  const heap = createMinHeap();
+  strength.forEach((value, v) => heap.push(v, value));
+  let current = 0;
+
+  while (heap.size() > 0) {
+    const v = heap.pop();
+    if (removed[v]) continue;
+    removed[v] = 1;
+    current = Math.max(current, strength[v]);
+    cores[v] = current;
+    adjacency[v].forEach((weight, w) => {
+      if (removed[w]) return;
+      strength[w] -= weight;
+      heap.push(w, strength[w]);
+    });
+  }
+  return cores;
+}
+
+/**
+ * 节点 ID → 连续下标的无向邻接表（下标 → 合并后的权重）
+ * @private
+ */
+function buildGraph(nodes, links) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const adjacency = ids.map(() => new Map());
+
+  links.forEach(link => {
+    const source = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const target = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (source === undefined || target === undefined || source === target) return;
+    const weight = Number(link.weight) > 0 ? Number(link.weight) : 1;
+    adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+    adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+  });
+
+  return { ids, adjacency };
+}
+
+/**
+ * 下标 → 核数 转为 id → 核数，并列出出现过的核数
+ * @private
+ */
+function toCores(ids, values) {
+  const cores = {};
+  const levels = new Set();
+  ids.forEach((id, index) => {
+    // 权重相减会累积浮点误差，s-core 核数保留 6 位小数
+    const value = Math.round(values[index] * 1e6) / 1e6;
+    cores[id] = value;
+    levels.add(value);
+  });
+  const sorted = Array.from(levels).sort((a, b) => a - b);
+  return { cores, levels: sorted, max: sorted.length > 0 ? sorted[sorted.length - 1] : 0 };
+}
+
+export default {
+  CORE_METRICS,
+  calculateCoreNumbers,
+  filterCores
+};
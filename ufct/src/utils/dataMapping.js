@@ -3,6 +3,8 @@
  * 将简单的节点和边数据转化为可视化所需的完整属性
  */
 
+import { calculateCentrality } from './centrality';
+
 /**
  * 智能映射节点数据 - 补充缺失的可视化属性
  * @param {Array} nodes - 原始节点数组（仅含基础信息）
@@ -102,19 +104,19 @@ function calculateDegrees(nodes, links) {
 }
 
 /**
- * 计算Betweenness Centrality（节点中心性）
+ * 计算Betweenness Centrality（节点中心性），按最大值缩放到 0-1 以便映射颜色
+ * 大图为抽样近似值，见 centrality.js
  * @private
  */
 function calculateBetweennessCentrality(nodes, links) {
-  // 简化版本：使用加权度数作为近似
+  const { betweenness } = calculateCentrality(nodes, links);
+  const maxValue = Object.values(betweenness).reduce((max, value) => Math.max(max, value), 0) || 1;
+
   const centrality = {};
-  const degrees = calculateDegrees(nodes, links);
-  const maxDegree = Math.max(...Object.values(degrees), 1);
-  
   nodes.forEach(node => {
-    centrality[node.id] = (degrees[node.id] || 0) / maxDegree;
+    centrality[node.id] = (betweenness[node.id] || 0) / maxValue;
   });
-  
+
   return centrality;
 }
 
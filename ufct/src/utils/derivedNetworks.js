@@ -0,0 +1,119 @@
+/**
+ * 派生网络 - 由引用网络的有向 cites 边（source 引用 target）构建的两种无向加权网络
+ * - 共被引（co-citation）：两篇论文被同一篇论文同时引用，权重为同时引用它们的论文数
+ * - 文献耦合（bibliographic coupling）：两篇论文引用了同一篇论文，权重为共同参考文献数
+ * 计算量为各论文参考文献数（被引数）平方之和，在 graph worker 中执行
+ */
+
+/**
+ * 可用的派生网络
+ */
+export const DERIVED_NETWORKS = {
+  cocitation: 'Co-citation',
+  coupling: 'Bibliographic coupling'
+};
+
+/**
+ * 最多返回的边数，超出时只保留权重最高的边（权重为 1 的边往往占绝大多数）
+ */
+export const MAX_DERIVED_LINKS = 100000;
+
+/**
+ * 构建派生网络
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 引用边数组，source 引用 target，source / target 为 ID 或节点对象
+ * @param {Object} options - { kind: 'cocitation' | 'coupling', onProgress }
+ * @returns {Object} { kind, links: [{ source, target, weight }]（按权重从高到低）, maxWeight, pairCount, truncated }
+ */
+export function buildDerivedNetwork(nodes, links, options = {}) {
+  const { kind = 'cocitation', onProgress } = options;
+  const { ids, references, citers } = buildCitationLists(nodes, links);
+  // 共被引：经由共同的施引论文相连；文献耦合：经由共同的参考文献相连
+  const [firstHop, secondHop] = kind === 'coupling' ? [references, citers] : [citers, references];
+  const n = ids.length;
+  const counts = new Int32Array(n);
+  const touched = [];
+
+  // 对每篇论文 a 走两步，统计它与每篇 b > a 的论文共有多少个中间节点，再交给 visit(a, b, weight)
+  const forEachPair = (visit, progressOffset) => {
+    for (let a = 0; a < n; a++) {
+      firstHop[a].forEach(middle => {
+        secondHop[middle].forEach(b => {
+          if (b <= a) return;
+          if (counts[b] === 0) touched.push(b);
+          counts[b]++;
+        });
+      });
+      touched.forEach(b => {
+        visit(a, b, counts[b]);
+        counts[b] = 0;
+      });
+      touched.length = 0;
+      if (onProgress && a % 1000 === 0) onProgress(progressOffset + a / n / 2);
+    }
+  };
+
+  // 第一遍只统计各权重的节点对数，据此确定保留的最低权重，内存不随节点对数增长
+  const histogram = [];
+  forEachPair((a, b, weight) => {
+    histogram[weight] = (histogram[weight] || 0) + 1;
+  }, 0);
+  const maxWeight = Math.max(histogram.length - 1, 0);
+  let pairCount = 0;
+  let minWeight = maxWeight;
+  for (let weight = maxWeight; weight >= 1; weight--) {
+    pairCount += histogram[weight] || 0;
+    if (pairCount - (histogram[weight] || 0) < MAX_DERIVED_LINKS) minWeight = weight;
+  }
+
+  // 第二遍收集不低于该权重的节点对；最低一档只取到上限为止
+  const derivedLinks = [];
+  let lowestSlots = MAX_DERIVED_LINKS;
+  for (let weight = maxWeight; weight > minWeight; weight--) lowestSlots -= histogram[weight] || 0;
+  forEachPair((a, b, weight) => {
+    if (weight < minWeight) return;
+    if (weight === minWeight) {
+      if (lowestSlots <= 0) return;
+      lowestSlots--;
+    }
+    derivedLinks.push({ source: ids[a], target: ids[b], weight });
+  }, 0.5);
+  derivedLinks.sort((a, b) => b.weight - a.weight);
+
+  return {
+    kind,
+    links: derivedLinks,
+    maxWeight,
+    pairCount,
+    truncated: pairCount > derivedLinks.length
+  };
+}
+
+/**
+ * 各论文的参考文献与施引论文（下标），重复的引用与自引只算一次
+ * @private
+ */
+function buildCitationLists(nodes, links) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const references = ids.map(() => []);
+  const citers = ids.map(() => []);
+  const seen = new Set();
+  links.forEach(link => {
+    const citing = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const cited = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (citing === undefined || cited === undefined || citing === cited) return;
+    const key = `${citing}->${cited}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    references[citing].push(cited);
+    citers[cited].push(citing);
+  });
+  return { ids, references, citers };
+}
+
+export default {
+  DERIVED_NETWORKS,
+  MAX_DERIVED_LINKS,
+  buildDerivedNetwork
+};
@@ -0,0 +1,72 @@
+/**
+ * 文件下载工具 - 在浏览器中把生成的内容保存为文件
+ */
+
+/**
+ * 下载 Blob
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // 给浏览器留出开始下载的时间再释放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 下载文本内容
+ * @param {string} text - 文本
+ * @param {string} filename - 文件名
+ * @param {string} mimeType - MIME 类型
+ */
+export function downloadText(text, filename, mimeType = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+}
+
+/**
+ * 下载 JSON
+ * @param {*} data - 可序列化的数据
+ * @param {string} filename - 文件名
+ */
+export function downloadJSON(data, filename) {
+  downloadText(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+/**
+ * 将对象数组转换为 CSV 文本
+ * @param {Array<Object>} rows - 数据行
+ * @param {Array<Object>} columns - [{ key, label }]，省略时使用第一行的键
+ * @returns {string} CSV 文本（RFC 4180 转义）
+ */
+export function toCSV(rows, columns) {
+  const cols = columns || Object.keys(rows[0] || {}).map(key => ({ key, label: key }));
+  const header = cols.map(col => escapeCSVValue(col.label)).join(',');
+  const lines = rows.map(row => cols.map(col => escapeCSVValue(row[col.key])).join(','));
+  return [header, ...lines].join('\r\n');
+}
+
+/**
+ * 生成带时间戳的文件名，例如 benchmark-2024-05-01T10-30-00.csv
+ * @param {string} prefix - 文件名前缀
+ * @param {string} extension - 扩展名（不含点）
+ * @returns {string}
+ */
+export function timestampedFilename(prefix, extension) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  return `${prefix}-${stamp}.${extension}`;
+}
+
+/**
+ * @private
+ */
+function escapeCSVValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
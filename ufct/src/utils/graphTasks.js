@@ -0,0 +1,96 @@
+/**
+ * 图计算任务表 - Web Worker 与主线程降级执行共用
+ * 每个任务形如 (payload, reportProgress) => result，
+ * reportProgress(fraction) 用于长耗时任务汇报 0-1 的进度
+ */
+
+import {
+  cleanNodes,
+  cleanLinks,
+  calculateNodeDegrees,
+  calculateNodeSizes,
+  optimizeGraphForPerformance,
+  generateNodeColors
+} from './graphUtils';
+import { calculateCentrality } from './centrality';
+import { calculatePageRank, calculateHITS } from './linkAnalysis';
+import { detectCommunities } from './communityDetection';
+import { findShortestPaths } from './shortestPaths';
+import { buildDerivedNetwork } from './derivedNetworks';
+
+export const GRAPH_TASKS = {
+  calculateDegrees: (payload) => calculateNodeDegrees(payload.nodes, payload.links),
+
+  optimizeGraph: (payload) => optimizeGraphForPerformance(
+    payload.nodes,
+    payload.links,
+    payload.threshold,
+    payload.options
+  ),
+
+  generateColors: (payload) => generateNodeColors(payload.nodes, payload.links),
+
+  calculateSizes: (payload) => calculateNodeSizes(
+    payload.degrees,
+    payload.minSize,
+    payload.maxSize
+  ),
+
+  calculateCentrality: (payload, reportProgress) => calculateCentrality(
+    payload.nodes,
+    payload.links,
+    { ...payload.options, onProgress: reportProgress }
+  ),
+
+  calculatePageRank: (payload, reportProgress) => calculatePageRank(
+    payload.nodes,
+    payload.links,
+    { ...payload.options, onProgress: reportProgress }
+  ),
+
+  calculateHITS: (payload, reportProgress) => calculateHITS(
+    payload.nodes,
+    payload.links,
+    { ...payload.options, onProgress: reportProgress }
+  ),
+
+  detectCommunities: (payload, reportProgress) => detectCommunities(
+    payload.nodes,
+    payload.links,
+    { ...payload.options, onProgress: reportProgress }
+  ),
+
+  findShortestPaths: (payload) => findShortestPaths(
+    payload.nodes,
+    payload.links,
+    payload.sourceId,
+    payload.targetId,
+    payload.options
+  ),
+
+  buildDerivedNetwork: (payload, reportProgress) => buildDerivedNetwork(
+    payload.nodes,
+    payload.links,
+    { ...payload.options, onProgress: reportProgress }
+  ),
+
+  cleanData: (payload) => ({
+    nodes: cleanNodes(payload.nodes),
+    links: cleanLinks(payload.links)
+  })
+};
+
+/**
+ * 执行指定任务
+ * @param {string} type - 任务类型
+ * @param {Object} payload - 任务参数
+ * @param {Function} reportProgress - 进度回调（可选）
+ * @returns {*} 任务结果
+ */
+export function runGraphTask(type, payload, reportProgress = () => {}) {
+  const task = GRAPH_TASKS[type];
+  if (!task) {
+    throw new Error(`Unknown task type: ${type}`);
+  }
+  return task(payload, reportProgress);
+}
@@ -114,6 +114,7 @@ export function optimizeGraphForPerformance(nodes, links, threshold = 2, options
     maxNodes = 1500,           // 最大节点数目标
     preserveTopPercent = 0.15, // 保留度数最高的百分比
     enableCommunityMerge = true, // 启用社区合并
+    preserveNodeIds = [],        // 无论度数如何都保留的节点（例如用户搜索或展开的节点）
   } = options;
 
   if (nodes.length <= maxNodes) {
@@ -172,6 +173,8 @@ export function optimizeGraphForPerformance(nodes, links, threshold = 2, options
     filteredNodeIds = randomSampleNodes(filteredNodeIds, maxNodes);
   }
   
+  preserveNodeIds.forEach(id => filteredNodeIds.add(id));
+
   // 过滤节点和链接
   const optimizedNodes = nodes.filter(node => filteredNodeIds.has(node.id));
   const optimizedLinks = links.filter(link => {
@@ -343,6 +346,67 @@ export function getNodeNeighbors(nodeId, links) {
   return neighbors;
 }
 
+/**
+ * 把新的一批节点与边并入已有数据，跳过已存在的节点和重复的边
+ * @param {Object} current - 已有数据 { nodes, links }
+ * @param {Object} addition - 新数据 { nodes, links }
+ * @returns {Object} 合并后的 { nodes, links, addedNodes, addedLinks }
+ */
+export function mergeGraphData(current, addition) {
+  const nodeIds = new Set(current.nodes.map(node => node.id));
+  const linkKeys = new Set(current.links.map(getLinkKey));
+
+  const newNodes = (addition.nodes || []).filter(node => {
+    if (nodeIds.has(node.id)) return false;
+    nodeIds.add(node.id);
+    return true;
+  });
+  const newLinks = (addition.links || []).filter(link => {
+    const key = getLinkKey(link);
+    if (linkKeys.has(key)) return false;
+    linkKeys.add(key);
+    return true;
+  });
+
+  return {
+    nodes: newNodes.length > 0 ? current.nodes.concat(newNodes) : current.nodes,
+    links: newLinks.length > 0 ? current.links.concat(newLinks) : current.links,
+    addedNodes: newNodes.length,
+    addedLinks: newLinks.length
+  };
+}
+
+/**
+ * 从已有数据中移除节点与边，同时去掉一端已被移除的边
+ * @param {Object} current - 已有数据 { nodes, links }
+ * @param {Object} removal - { nodeIds, linkKeys }，linkKeys 由 getLinkKey 生成
+ * @returns {Object} 移除后的 { nodes, links }
+ */
+export function removeGraphData(current, removal) {
+  const nodeIds = new Set(removal.nodeIds || []);
+  const linkKeys = new Set(removal.linkKeys || []);
+
+  return {
+    nodes: current.nodes.filter(node => !nodeIds.has(node.id)),
+    links: current.links.filter(link => {
+      const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+      const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+      return !nodeIds.has(sourceId) && !nodeIds.has(targetId) && !linkKeys.has(getLinkKey(link));
+    })
+  };
+}
+
+/**
+ * 边的唯一键（渲染后 source/target 可能已被替换为节点对象）
+ * @param {Object} link - 边
+ * @returns {string} "sourceId->targetId"
+ */
+export function getLinkKey(link) {
+  const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+  const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+  return `${sourceId}->${targetId}`;
+}
+
 /**
  * 生成节点颜色 - 基于社区检测或度数
  * @param {Array} nodes - 节点数组
@@ -0,0 +1,127 @@
+/**
+ * Graph Worker 客户端 - 以 Promise 的方式调用 graphWorker.js 中的任务
+ * 所有任务共用一个 Worker，按请求 ID 分发结果；
+ * 浏览器不支持 Worker 时退回主线程执行同一套任务
+ */
+
+import axios from 'axios';
+import { runGraphTask } from './graphTasks';
+
+let worker = null;
+let nextRequestId = 1;
+const pendingTasks = new Map();
+
+/**
+ * 在 Worker 中执行图计算任务
+ * @param {string} type - 任务类型（见 graphTasks.js）
+ * @param {Object} payload - 任务参数（会被结构化克隆，不能包含函数或 Vue 代理）
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise} 任务结果；取消时以 CanceledError 拒绝，不影响其他任务
+ */
+export function runInGraphWorker(type, payload, options = {}) {
+  const { signal, onProgress } = options;
+
+  if (signal?.aborted) {
+    return Promise.reject(new axios.CanceledError());
+  }
+
+  const instance = getWorker();
+  if (!instance) {
+    return new Promise((resolve, reject) => {
+      try {
+        resolve(runGraphTask(type, payload, onProgress));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      // 只取消这一个任务：丢弃它稍后返回的结果，其余任务照常进行；
+      // 没有其他任务时终止 Worker，免得它继续做无用的计算
+      const task = pendingTasks.get(id);
+      if (!task) return;
+      pendingTasks.delete(id);
+      task.reject(new axios.CanceledError());
+      if (pendingTasks.size === 0) terminateGraphWorker();
+    };
+
+    pendingTasks.set(id, {
+      onProgress,
+      resolve: (result) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    });
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    instance.postMessage({ id, type, payload });
+  });
+}
+
+/**
+ * 终止 Worker 并取消所有进行中的任务，下次调用时会重新创建；只在不再需要 Worker 时调用
+ */
+export function terminateGraphWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  pendingTasks.forEach(task => task.reject(new axios.CanceledError()));
+  pendingTasks.clear();
+}
+
+/**
+ * @private
+ */
+function getWorker() {
+  if (worker) return worker;
+  if (typeof Worker === 'undefined') return null;
+
+  try {
+    worker = new Worker(new URL('./graphWorker.js', import.meta.url));
+  } catch (error) {
+    console.warn('Graph worker unavailable, running tasks on the main thread:', error);
+    return null;
+  }
+
+  worker.onmessage = (event) => {
+    const { id, progress, success, result, error } = event.data;
+    const task = pendingTasks.get(id);
+    if (!task) return;
+
+    if (progress !== undefined) {
+      if (task.onProgress) task.onProgress(progress);
+      return;
+    }
+
+    pendingTasks.delete(id);
+    if (success) {
+      task.resolve(result);
+    } else {
+      task.reject(new Error(error));
+    }
+  };
+
+  worker.onerror = (event) => {
+    console.error('Graph worker crashed:', event.message);
+    const crashed = worker;
+    worker = null;
+    crashed.terminate();
+    pendingTasks.forEach(task => task.reject(new Error(event.message || 'Graph worker error')));
+    pendingTasks.clear();
+  };
+
+  return worker;
+}
+
+export default {
+  runInGraphWorker,
+  terminateGraphWorker
+};
@@ -0,0 +1,206 @@
+/**
+ * 链接分析 - 有向引用网络上的 PageRank 与 HITS（hub / authority）
+ * 边的方向为 source（施引论文）→ target（被引论文），重要性沿引用方向传递
+ * 只在已加载的子网络内计算，衡量论文在当前视图中的影响力，而不是全局被引次数
+ */
+
+/**
+ * PageRank 默认阻尼系数
+ */
+export const DEFAULT_DAMPING = 0.85;
+
+const DEFAULT_TOLERANCE = 1e-6;
+const DEFAULT_MAX_ITERATIONS = 100;
+
+/**
+ * 幂迭代计算 PageRank，没有出边的节点把分值平均分给所有节点
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 有向边数组，source / target 为 ID 或节点对象
+ * @param {Object} options - { damping, tolerance, maxIterations, onProgress(fraction) }
+ * @returns {Object} { scores: id → 分值（总和为 1）, damping, iterations, converged, nodeCount }
+ */
+export function calculatePageRank(nodes, links, options = {}) {
+  const {
+    damping = DEFAULT_DAMPING,
+    tolerance = DEFAULT_TOLERANCE,
+    maxIterations = DEFAULT_MAX_ITERATIONS,
+    onProgress = () => {}
+  } = options;
+
+  const { ids, outgoing } = buildDirectedAdjacency(nodes, links);
+  const n = ids.length;
+  let rank = new Float64Array(n).fill(n > 0 ? 1 / n : 0);
+  let next = new Float64Array(n);
+  let iterations = 0;
+  let converged = n === 0;
+
+  while (!converged && iterations < maxIterations) {
+    let dangling = 0;
+    for (let v = 0; v < n; v++) {
+      if (outgoing[v].length === 0) dangling += rank[v];
+    }
+    next.fill((1 - damping) / n + (damping * dangling) / n);
+    for (let v = 0; v < n; v++) {
+      const targets = outgoing[v];
+      if (targets.length === 0) continue;
+      const share = (damping * rank[v]) / targets.length;
+      for (let i = 0; i < targets.length; i++) {
+        next[targets[i]] += share;
+      }
+    }
+
+    let change = 0;
+    for (let v = 0; v < n; v++) {
+      change += Math.abs(next[v] - rank[v]);
+    }
+    [rank, next] = [next, rank];
+    iterations++;
+    converged = change < tolerance;
+    onProgress(converged ? 1 : iterations / maxIterations);
+  }
+
+  return {
+    scores: toScoreMap(ids, rank),
+    damping,
+    iterations,
+    converged,
+    nodeCount: n
+  };
+}
+
+/**
+ * HITS：authority 为引用它的 hub 分值之和，hub 为它引用的 authority 分值之和
+ * 每轮按 L2 范数归一化，结果再按最大值缩放到 0-1
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 有向边数组
+ * @param {Object} options - { tolerance, maxIterations, onProgress(fraction) }
+ * @returns {Object} { hubs, authorities, iterations, converged, nodeCount }，前两项为 id → 分值
+ */
+export function calculateHITS(nodes, links, options = {}) {
+  const {
+    tolerance = DEFAULT_TOLERANCE,
+    maxIterations = DEFAULT_MAX_ITERATIONS,
+    onProgress = () => {}
+  } = options;
+
+  const { ids, outgoing } = buildDirectedAdjacency(nodes, links);
+  const n = ids.length;
+  const hubs = new Float64Array(n).fill(1);
+  const authorities = new Float64Array(n);
+  let iterations = 0;
+  let converged = n === 0;
+
+  while (!converged && iterations < maxIterations) {
+    const previousAuthorities = Float64Array.from(authorities);
+    const previousHubs = Float64Array.from(hubs);
+
+    authorities.fill(0);
+    for (let v = 0; v < n; v++) {
+      const targets = outgoing[v];
+      for (let i = 0; i < targets.length; i++) {
+        authorities[targets[i]] += hubs[v];
+      }
+    }
+    normalizeL2(authorities);
+
+    for (let v = 0; v < n; v++) {
+      const targets = outgoing[v];
+      let sum = 0;
+      for (let i = 0; i < targets.length; i++) {
+        sum += authorities[targets[i]];
+      }
+      hubs[v] = sum;
+    }
+    normalizeL2(hubs);
+
+    let change = 0;
+    for (let v = 0; v < n; v++) {
+      change += Math.abs(authorities[v] - previousAuthorities[v]) + Math.abs(hubs[v] - previousHubs[v]);
+    }
+    iterations++;
+    converged = change < tolerance;
+    onProgress(converged ? 1 : iterations / maxIterations);
+  }
+
+  return {
+    hubs: toScoreMap(ids, scaleToMax(hubs)),
+    authorities: toScoreMap(ids, scaleToMax(authorities)),
+    iterations,
+    converged,
+    nodeCount: n
+  };
+}
+
+/**
+ * 节点在某项指标上的名次：分值严格更高的节点数 + 1（并列同名次）
+ * @param {Object} scores - id → 分值
+ * @param {string} nodeId
+ * @returns {Object|null} { rank, total }，节点不在结果中时为 null
+ */
+export function getScoreRank(scores, nodeId) {
+  const value = scores[nodeId];
+  if (value === undefined) return null;
+  let rank = 1;
+  let total = 0;
+  Object.values(scores).forEach(score => {
+    total++;
+    if (score > value) rank++;
+  });
+  return { rank, total };
+}
+
+/**
+ * 节点 ID → 连续下标的出边表，忽略自环、重复边与端点不在节点中的边
+ * @private
+ */
+function buildDirectedAdjacency(nodes, links) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const targetSets = ids.map(() => new Set());
+
+  links.forEach(link => {
+    const source = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const target = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (source === undefined || target === undefined || source === target) return;
+    targetSets[source].add(target);
+  });
+
+  return { ids, outgoing: targetSets.map(set => Array.from(set)) };
+}
+
+/**
+ * @private
+ */
+function normalizeL2(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i] * values[i];
+  const norm = Math.sqrt(sum);
+  if (norm === 0) return;
+  for (let i = 0; i < values.length; i++) values[i] /= norm;
+}
+
+/**
+ * @private
+ */
+function scaleToMax(values) {
+  const max = values.reduce((result, value) => Math.max(result, value), 0);
+  return max > 0 ? values.map(value => value / max) : values;
+}
+
+/**
+ * @private
+ */
+function toScoreMap(ids, values) {
+  const scores = {};
+  ids.forEach((id, index) => {
+    scores[id] = values[index];
+  });
+  return scores;
+}
+
+export default {
+  DEFAULT_DAMPING,
+  calculatePageRank,
+  calculateHITS,
+  getScoreRank
+};
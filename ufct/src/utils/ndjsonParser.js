@@ -0,0 +1,133 @@
+/**
+ * NDJSON 解析 - 逐行解析换行分隔的 JSON 流，把网络记录分批汇总
+ * Worker（ndjsonWorker.js）与主线程降级路径共用同一套逻辑
+ *
+ * 网络接口的 NDJSON 格式：每行一条记录 { "type": ..., "data": ... }
+ *   metadata   网络统计（同 JSON 响应中的 data.metadata）
+ *   pagination 分页信息（同 data.pagination）
+ *   node       一个节点
+ *   edge       一条边
+ *   community  一个社区
+ * metadata 与 pagination 应最先发送，节点行应在引用它们的边行之前；未知类型的记录会被忽略
+ */
+
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+// 每批包含的节点与边的数量
+export const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * 创建网络流解析器
+ * @param {Object} options - { onBatch, batchSize }
+ *   onBatch(batch): batch 为 { nodes, edges, communities, metadata, pagination }，
+ *   metadata 与 pagination 只在到达后的第一批中出现
+ * @returns {Object} { push(chunk), end() }
+ *   push 接收 Uint8Array 或字符串；end 刷出剩余记录并返回
+ *   { metadata, pagination, nodeCount, edgeCount, lineCount }
+ *   遇到无法解析的行时抛出错误
+ */
+export function createNetworkStreamParser(options = {}) {
+  const { onBatch = () => {}, batchSize = DEFAULT_BATCH_SIZE } = options;
+  const decoder = new TextDecoder();
+  const summary = { metadata: null, pagination: null, nodeCount: 0, edgeCount: 0, lineCount: 0 };
+  let buffer = '';
+  let batch = createEmptyBatch();
+  let batchRecords = 0;
+
+  const flush = () => {
+    if (batchRecords === 0 && !batch.metadata && !batch.pagination) return;
+    onBatch(batch);
+    batch = createEmptyBatch();
+    batchRecords = 0;
+  };
+
+  const handleLine = (rawLine) => {
+    summary.lineCount++;
+    const line = rawLine.trim();
+    if (!line) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`line ${summary.lineCount} is not valid JSON`);
+    }
+
+    switch (record?.type) {
+      case 'node':
+        batch.nodes.push(record.data);
+        summary.nodeCount++;
+        batchRecords++;
+        break;
+      case 'edge':
+        batch.edges.push(record.data);
+        summary.edgeCount++;
+        batchRecords++;
+        break;
+      case 'community':
+        batch.communities.push(record.data);
+        break;
+      case 'metadata':
+        batch.metadata = record.data;
+        summary.metadata = record.data;
+        break;
+      case 'pagination':
+        batch.pagination = record.data;
+        summary.pagination = record.data;
+        break;
+      default:
+        break;
+    }
+
+    if (batchRecords >= batchSize) {
+      flush();
+    }
+  };
+
+  const consumeLines = () => {
+    let start = 0;
+    let newline = buffer.indexOf('\n', start);
+    while (newline !== -1) {
+      handleLine(buffer.slice(start, newline));
+      start = newline + 1;
+      newline = buffer.indexOf('\n', start);
+    }
+    buffer = buffer.slice(start);
+  };
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      consumeLines();
+    },
+    end() {
+      buffer += decoder.decode();
+      consumeLines();
+      if (buffer) {
+        handleLine(buffer);
+        buffer = '';
+      }
+      flush();
+      return summary;
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function createEmptyBatch() {
+  return {
+    nodes: [],
+    edges: [],
+    communities: [],
+    metadata: null,
+    pagination: null
+  };
+}
+
+export default {
+  NDJSON_CONTENT_TYPE,
+  DEFAULT_BATCH_SIZE,
+  createNetworkStreamParser
+};
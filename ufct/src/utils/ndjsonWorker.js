@@ -0,0 +1,34 @@
+/**
+ * Web Worker - 在后台解析 NDJSON 网络流，主线程只负责读取字节与合并结果
+ * 每个流使用一个 Worker，解析结束后由调用方终止
+ *
+ * 消息格式：
+ *   请求 { type: 'start', batchSize } | { type: 'chunk', chunk } | { type: 'end' }
+ *        chunk 为 ArrayBuffer（以可转移对象传入）
+ *   响应 { type: 'batch', batch } | { type: 'done', summary } | { type: 'error', error }
+ */
+
+import { createNetworkStreamParser } from './ndjsonParser';
+
+let parser = null;
+
+self.onmessage = function(event) {
+  const { type, chunk, batchSize } = event.data;
+
+  try {
+    if (type === 'start') {
+      parser = createNetworkStreamParser({
+        batchSize,
+        onBatch: (batch) => self.postMessage({ type: 'batch', batch })
+      });
+    } else if (type === 'chunk') {
+      parser.push(new Uint8Array(chunk));
+    } else if (type === 'end') {
+      self.postMessage({ type: 'done', summary: parser.end() });
+      parser = null;
+    }
+  } catch (error) {
+    parser = null;
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};
@@ -0,0 +1,356 @@
+/**
+ * 网络导出 - 把当前渲染的子图写为 GraphML、GEXF、CSV（节点表 + 边表）或 JSON
+ * 导出内容包括节点的全部属性、度数等计算指标，以及当前的布局坐标
+ * 导出的文件可以再由 networkImport.js 导入
+ */
+
+import * as d3 from 'd3';
+import JSZip from 'jszip';
+import { toCSV } from './download';
+
+// 渲染器写入节点的内部字段，不属于节点属性
+const INTERNAL_NODE_KEYS = new Set(['id', 'x', 'y', 'vx', 'vy', 'fx', 'fy', 'index', 'degree', '__indexColor']);
+const INTERNAL_LINK_KEYS = new Set(['source', 'target', 'index', '__indexColor', '__controlPoints']);
+
+/**
+ * 支持的导出格式
+ */
+export const EXPORT_FORMATS = {
+  graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+  gexf: { label: 'GEXF', extension: 'gexf', mimeType: 'application/gexf+xml' },
+  csv: { label: 'CSV (nodes + edges, zip)', extension: 'zip', mimeType: 'application/zip' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * 整理渲染器中的节点与边：展开属性、计算度数、读取坐标与可视化样式
+ * @param {Array} nodes - 渲染器中的节点（带 x、y）
+ * @param {Array} links - 边，source / target 为节点 ID
+ * @param {Object} options - { directed, nodeColor(node), nodeSize(node) }
+ * @returns {Object} { directed, nodes: [{ id, attributes, x, y, color, size }], links: [{ source, target, attributes }] }
+ *   attributes 中的值均为字符串、数字或布尔值，嵌套对象以 "metadata.xxx" 的形式展开
+ */
+export function buildExportGraph(nodes, links, options = {}) {
+  const { directed = true, nodeColor, nodeSize } = options;
+
+  const inDegree = new Map();
+  const outDegree = new Map();
+  links.forEach(link => {
+    outDegree.set(link.source, (outDegree.get(link.source) || 0) + 1);
+    inDegree.set(link.target, (inDegree.get(link.target) || 0) + 1);
+  });
+
+  return {
+    directed,
+    nodes: nodes.map(node => {
+      const attributes = flattenAttributes(node, INTERNAL_NODE_KEYS);
+      const indeg = inDegree.get(node.id) || 0;
+      const outdeg = outDegree.get(node.id) || 0;
+      attributes.degree = indeg + outdeg;
+      if (directed) {
+        attributes.in_degree = indeg;
+        attributes.out_degree = outdeg;
+      }
+      return {
+        id: String(node.id),
+        attributes,
+        x: Number.isFinite(node.x) ? round(node.x) : null,
+        y: Number.isFinite(node.y) ? round(node.y) : null,
+        color: nodeColor ? toHexColor(nodeColor(node)) : null,
+        size: nodeSize ? nodeSize(node) : null
+      };
+    }),
+    links: links.map(link => ({
+      source: String(link.source),
+      target: String(link.target),
+      attributes: flattenAttributes(link, INTERNAL_LINK_KEYS)
+    }))
+  };
+}
+
+/**
+ * 序列化为 GraphML（坐标写入 x、y 属性，颜色与大小写入 color、size 属性）
+ * @param {Object} graph - buildExportGraph 的结果
+ * @returns {string} XML 文本
+ */
+export function toGraphML(graph) {
+  const nodeKeys = collectAttributeTypes(graph.nodes.map(node => ({ ...node.attributes, ...visualAttributes(node) })));
+  const edgeKeys = collectAttributeTypes(graph.links.map(link => link.attributes));
+  const nodeKeyIds = new Map(Array.from(nodeKeys.keys()).map((name, index) => [name, `n${index}`]));
+  const edgeKeyIds = new Map(Array.from(edgeKeys.keys()).map((name, index) => [name, `e${index}`]));
+  const graphmlType = type => ({ integer: 'int', double: 'double', boolean: 'boolean' }[type] || 'string');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+  ];
+  nodeKeys.forEach((type, name) => {
+    lines.push(`  <key id="${nodeKeyIds.get(name)}" for="node" attr.name="${escapeXML(name)}" attr.type="${graphmlType(type)}"/>`);
+  });
+  edgeKeys.forEach((type, name) => {
+    lines.push(`  <key id="${edgeKeyIds.get(name)}" for="edge" attr.name="${escapeXML(name)}" attr.type="${graphmlType(type)}"/>`);
+  });
+
+  lines.push(`  <graph id="G" edgedefault="${graph.directed ? 'directed' : 'undirected'}">`);
+  graph.nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXML(node.id)}">`);
+    Object.entries({ ...node.attributes, ...visualAttributes(node) }).forEach(([name, value]) => {
+      lines.push(`      <data key="${nodeKeyIds.get(name)}">${escapeXML(value)}</data>`);
+    });
+    lines.push('    </node>');
+  });
+  graph.links.forEach((link, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXML(link.source)}" target="${escapeXML(link.target)}">`);
+    Object.entries(link.attributes).forEach(([name, value]) => {
+      lines.push(`      <data key="${edgeKeyIds.get(name)}">${escapeXML(value)}</data>`);
+    });
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+/**
+ * 序列化为 GEXF 1.3（坐标、颜色与大小写入 viz 命名空间，Gephi 打开即为当前布局）
+ * @param {Object} graph - buildExportGraph 的结果
+ * @returns {string} XML 文本
+ */
+export function toGEXF(graph) {
+  const nodeAttributes = collectAttributeTypes(graph.nodes.map(node => omit(node.attributes, 'label')));
+  const edgeAttributes = collectAttributeTypes(graph.links.map(link => omit(link.attributes, 'weight')));
+  const nodeIds = new Map(Array.from(nodeAttributes.keys()).map((name, index) => [name, String(index)]));
+  const edgeIds = new Map(Array.from(edgeAttributes.keys()).map((name, index) => [name, String(index)]));
+  const gexfType = type => ({ integer: 'long', double: 'double', boolean: 'boolean' }[type] || 'string');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>UFCT Academic Network Visualization</creator>',
+    '  </meta>',
+    `  <graph mode="static" defaultedgetype="${graph.directed ? 'directed' : 'undirected'}">`
+  ];
+  [['node', nodeAttributes, nodeIds], ['edge', edgeAttributes, edgeIds]].forEach(([kind, attributes, ids]) => {
+    if (attributes.size === 0) return;
+    lines.push(`    <attributes class="${kind}">`);
+    attributes.forEach((type, name) => {
+      lines.push(`      <attribute id="${ids.get(name)}" title="${escapeXML(name)}" type="${gexfType(type)}"/>`);
+    });
+    lines.push('    </attributes>');
+  });
+  lines.push('    <nodes>');
+
+  graph.nodes.forEach(node => {
+    const label = node.attributes.label ?? node.id;
+    lines.push(`      <node id="${escapeXML(node.id)}" label="${escapeXML(label)}">`);
+    lines.push('        <attvalues>');
+    Object.entries(omit(node.attributes, 'label')).forEach(([name, value]) => {
+      lines.push(`          <attvalue for="${nodeIds.get(name)}" value="${escapeXML(value)}"/>`);
+    });
+    lines.push('        </attvalues>');
+    if (node.x !== null && node.y !== null) {
+      lines.push(`        <viz:position x="${node.x}" y="${-node.y}" z="0"/>`);
+    }
+    if (Number.isFinite(node.size)) {
+      lines.push(`        <viz:size value="${round(node.size)}"/>`);
+    }
+    const rgb = parseHexColor(node.color);
+    if (rgb) {
+      lines.push(`        <viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>`);
+    }
+    lines.push('      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+
+  graph.links.forEach((link, index) => {
+    const weight = Number(link.attributes.weight);
+    const weightAttribute = Number.isFinite(weight) ? ` weight="${weight}"` : '';
+    const attributes = Object.entries(omit(link.attributes, 'weight'));
+    if (attributes.length === 0) {
+      lines.push(`      <edge id="${index}" source="${escapeXML(link.source)}" target="${escapeXML(link.target)}"${weightAttribute}/>`);
+      return;
+    }
+    lines.push(`      <edge id="${index}" source="${escapeXML(link.source)}" target="${escapeXML(link.target)}"${weightAttribute}>`);
+    lines.push('        <attvalues>');
+    attributes.forEach(([name, value]) => {
+      lines.push(`          <attvalue for="${edgeIds.get(name)}" value="${escapeXML(value)}"/>`);
+    });
+    lines.push('        </attvalues>', '      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+/**
+ * 序列化为 CSV 节点表与边表（列名与 Gephi 的数据表导入一致：Id / Source / Target）
+ * @param {Object} graph - buildExportGraph 的结果
+ * @returns {Object} { nodes: string, edges: string }
+ */
+export function toCSVTables(graph) {
+  const nodeRows = graph.nodes.map(node => ({ Id: node.id, ...node.attributes, ...visualAttributes(node) }));
+  const edgeRows = graph.links.map(link => ({
+    Source: link.source,
+    Target: link.target,
+    Type: graph.directed ? 'Directed' : 'Undirected',
+    ...link.attributes
+  }));
+  return {
+    nodes: toCSV(nodeRows, columnsOf(nodeRows, ['Id'])),
+    edges: toCSV(edgeRows, columnsOf(edgeRows, ['Source', 'Target', 'Type']))
+  };
+}
+
+/**
+ * 把节点表与边表打包为一个 zip（nodes.csv、edges.csv），浏览器常会拦截连续的第二次下载
+ * @param {Object} graph - buildExportGraph 的结果
+ * @returns {Promise<Blob>}
+ */
+export function buildCSVZip(graph) {
+  const tables = toCSVTables(graph);
+  const zip = new JSZip();
+  zip.file('nodes.csv', tables.nodes);
+  zip.file('edges.csv', tables.edges);
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * 序列化为 node-link JSON（与 networkx.node_link_data 兼容，也可直接导入本应用）
+ * @param {Object} graph - buildExportGraph 的结果
+ * @param {Object} meta - 附加到文件顶层的说明，例如导出时间与来源视图
+ * @returns {string} JSON 文本
+ */
+export function toNodeLinkJSON(graph, meta = {}) {
+  return JSON.stringify({
+    directed: graph.directed,
+    multigraph: false,
+    graph: meta,
+    nodes: graph.nodes.map(node => ({ id: node.id, ...node.attributes, ...visualAttributes(node) })),
+    links: graph.links.map(link => ({ source: link.source, target: link.target, ...link.attributes }))
+  }, null, 2);
+}
+
+/**
+ * 展开对象属性：数组与对象转为 JSON 字符串前先尝试逐层展开，null / undefined 跳过
+ * @private
+ */
+function flattenAttributes(source, skipKeys, prefix = '', target = {}) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (!prefix && skipKeys.has(key)) return;
+    if (key.startsWith('__') || value === null || value === undefined || typeof value === 'function') return;
+
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      if (value.length > 0) target[name] = JSON.stringify(value);
+    } else if (typeof value === 'object') {
+      flattenAttributes(value, skipKeys, name, target);
+    } else {
+      target[name] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * 汇总各属性的类型：全部为整数 → integer，全部为数字 → double，全部为布尔 → boolean，否则 string
+ * @private
+ */
+function collectAttributeTypes(attributeList) {
+  const types = new Map();
+  attributeList.forEach(attributes => {
+    Object.entries(attributes).forEach(([name, value]) => {
+      const type = typeof value === 'boolean' ? 'boolean'
+        : typeof value === 'number' ? (Number.isInteger(value) ? 'integer' : 'double')
+          : 'string';
+      const previous = types.get(name);
+      if (!previous || previous === type) {
+        types.set(name, type);
+      } else if ((previous === 'integer' && type === 'double') || (previous === 'double' && type === 'integer')) {
+        types.set(name, 'double');
+      } else {
+        types.set(name, 'string');
+      }
+    });
+  });
+  return types;
+}
+
+/**
+ * @private
+ */
+function visualAttributes(node) {
+  const attributes = {};
+  if (node.x !== null) attributes.x = node.x;
+  if (node.y !== null) attributes.y = node.y;
+  if (Number.isFinite(node.size)) attributes.size = round(node.size);
+  if (node.color) attributes.color = node.color;
+  return attributes;
+}
+
+/**
+ * 去掉单独写入元素属性的字段（GEXF 的 label 与 weight）
+ * @private
+ */
+function omit(attributes, key) {
+  const rest = { ...attributes };
+  delete rest[key];
+  return rest;
+}
+
+/**
+ * 列顺序：固定列在前，其余按首次出现的顺序
+ * @private
+ */
+function columnsOf(rows, leading) {
+  const keys = new Set(leading);
+  rows.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+  return Array.from(keys).map(key => ({ key, label: key }));
+}
+
+/**
+ * 渲染器使用 hsl() 颜色，导出时统一为 #rrggbb，便于其他工具读取
+ * @private
+ */
+function toHexColor(color) {
+  const parsed = color ? d3.color(color) : null;
+  return parsed ? parsed.formatHex() : null;
+}
+
+/**
+ * @private
+ */
+function parseHexColor(color) {
+  const match = /^#([0-9a-f]{6})$/i.exec(color || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * @private
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  EXPORT_FORMATS,
+  buildExportGraph,
+  toGraphML,
+  toGEXF,
+  toCSVTables,
+  buildCSVZip,
+  toNodeLinkJSON
+};
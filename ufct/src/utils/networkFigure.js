@@ -0,0 +1,408 @@
+/**
+ * 网络插图导出 - 把当前布局绘制为可用于论文与幻灯片的 SVG / 高分辨率 PNG
+ * 插图包含节点标签、与 Legend.vue 一致的图例（config/legendConfig.js）以及筛选条件说明
+ * 尺寸以英寸为单位：SVG 写入物理尺寸，PNG 按所选 DPI 栅格化并写入 pHYs 分辨率信息
+ */
+
+// SVG 的用户坐标按 CSS 像素（每英寸 96 个单位）计算，字号等数值均以此为准
+const CSS_DPI = 96;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const MARGIN = 16;
+const TITLE_FONT_SIZE = 14;
+const TEXT_FONT_SIZE = 9;
+const LABEL_FONT_SIZE = 7;
+const SIDE_LEGEND_WIDTH = 180;
+// 宽度不足时图例改为放在网络下方
+const SIDE_LEGEND_MIN_FIGURE_WIDTH = 600;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * 常用插图尺寸（英寸）
+ */
+export const FIGURE_SIZES = {
+  single: { label: 'Single column (3.5 × 3 in)', width: 3.5, height: 3 },
+  double: { label: 'Double column (7 × 5 in)', width: 7, height: 5 },
+  slide: { label: 'Slide 16:9 (13.33 × 7.5 in)', width: 13.33, height: 7.5 }
+};
+
+/**
+ * PNG 可选分辨率
+ */
+export const FIGURE_DPI_OPTIONS = [150, 300, 600];
+
+/**
+ * 绘制网络插图
+ * @param {Object} snapshot - { nodes: [{ id, x, y, radius, color, label }], links: [{ source, target, width }] }
+ * @param {Object} options - 插图选项
+ * @param {number} options.width - 宽度（英寸）
+ * @param {number} options.height - 高度（英寸）
+ * @param {string} options.title - 标题，为空时不绘制
+ * @param {string} options.caption - 图注（例如当前的筛选条件），为空时不绘制
+ * @param {Object} options.legend - getLegendConfig 的结果，为 null 时不绘制图例
+ * @param {string} options.labels - 'none' | 'top' | 'all'
+ * @param {number} options.labelCount - labels 为 'top' 时标注的节点数（按节点大小）
+ * @returns {Object} { svg, viewWidth, viewHeight }
+ */
+export function buildFigureSVG(snapshot, options = {}) {
+  const {
+    width = FIGURE_SIZES.double.width,
+    height = FIGURE_SIZES.double.height,
+    title = '',
+    caption = '',
+    legend = null,
+    labels = 'top',
+    labelCount = 25
+  } = options;
+
+  const viewWidth = Math.round(width * CSS_DPI);
+  const viewHeight = Math.round(height * CSS_DPI);
+  const defs = [];
+  const parts = [`<rect width="${viewWidth}" height="${viewHeight}" fill="#ffffff"/>`];
+
+  let top = MARGIN;
+  if (title) {
+    parts.push(`<text x="${MARGIN}" y="${top + TITLE_FONT_SIZE}" font-size="${TITLE_FONT_SIZE}" font-weight="bold" fill="#222">${escapeXML(title)}</text>`);
+    top += TITLE_FONT_SIZE + 10;
+  }
+
+  let bottom = viewHeight - MARGIN;
+  if (caption) {
+    const lines = wrapText(caption, viewWidth - MARGIN * 2, TEXT_FONT_SIZE);
+    const lineHeight = TEXT_FONT_SIZE + 3;
+    bottom -= lines.length * lineHeight;
+    lines.forEach((line, index) => {
+      parts.push(`<text x="${MARGIN}" y="${bottom + (index + 1) * lineHeight - 3}" font-size="${TEXT_FONT_SIZE}" fill="#555">${escapeXML(line)}</text>`);
+    });
+    bottom -= 8;
+  }
+
+  let plot = { x: MARGIN, y: top, width: viewWidth - MARGIN * 2, height: bottom - top };
+  if (legend && legend.sections.length > 0) {
+    if (viewWidth >= SIDE_LEGEND_MIN_FIGURE_WIDTH) {
+      const legendX = viewWidth - MARGIN - SIDE_LEGEND_WIDTH;
+      let y = top;
+      legend.sections.forEach((section, index) => {
+        const rendered = renderLegendSection(section, index, legendX, y, SIDE_LEGEND_WIDTH, defs);
+        parts.push(rendered.markup);
+        y += rendered.height + 12;
+      });
+      plot = { ...plot, width: plot.width - SIDE_LEGEND_WIDTH - 16 };
+    } else {
+      const columnWidth = (viewWidth - MARGIN * 2) / legend.sections.length;
+      const rendered = legend.sections.map((section, index) =>
+        renderLegendSection(section, index, MARGIN + index * columnWidth, 0, columnWidth - 8, defs)
+      );
+      const legendHeight = Math.max(...rendered.map(section => section.height));
+      const legendY = bottom - legendHeight;
+      parts.push(`<g transform="translate(0, ${round(legendY)})">${rendered.map(section => section.markup).join('')}</g>`);
+      plot = { ...plot, height: plot.height - legendHeight - 12 };
+    }
+  }
+
+  parts.push(renderNetwork(snapshot, plot, labels, labelCount));
+
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}in" height="${height}in" viewBox="0 0 ${viewWidth} ${viewHeight}" font-family="${FONT_FAMILY}">`,
+    defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+    ...parts,
+    '</svg>'
+  ].filter(Boolean).join('\n');
+
+  return { svg, viewWidth, viewHeight };
+}
+
+/**
+ * 把 SVG 插图栅格化为 PNG
+ * @param {string} svg - buildFigureSVG 生成的 SVG
+ * @param {Object} options - { width, height }（英寸）与 dpi
+ * @returns {Promise<Blob>} 写入了 DPI 信息的 PNG
+ */
+export async function renderFigurePNG(svg, { width, height, dpi = 300 }) {
+  const pixelWidth = Math.round(width * dpi);
+  const pixelHeight = Math.round(height * dpi);
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+  try {
+    const image = await loadImage(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error(`The browser cannot draw a ${pixelWidth} × ${pixelHeight} px image; choose a lower DPI or a smaller size`);
+    }
+    ctx.drawImage(image, 0, 0, pixelWidth, pixelHeight);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error(`The browser cannot encode a ${pixelWidth} × ${pixelHeight} px image; choose a lower DPI or a smaller size`);
+    }
+    return setPNGResolution(blob, dpi);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * 把筛选条件写成一行说明，用作插图的图注
+ * @param {Object} filters - 视图中的筛选参数（university、discipline、year_min、year_max、limit、min_citations、min_collaborations）
+ * @returns {string} 例如 "Years 2020–2024 · University: MIT · ≥ 5 citations · Top 500"，没有条件时返回空字符串
+ */
+export function describeFilters(filters) {
+  if (!filters) return '';
+  const parts = [];
+  if (filters.year_min && filters.year_max) {
+    parts.push(filters.year_min === filters.year_max ? `Year ${filters.year_min}` : `Years ${filters.year_min}–${filters.year_max}`);
+  } else if (filters.year_min) {
+    parts.push(`Since ${filters.year_min}`);
+  } else if (filters.year_max) {
+    parts.push(`Until ${filters.year_max}`);
+  }
+  if (filters.university) parts.push(`University: ${filters.university}`);
+  if (filters.discipline) parts.push(`Discipline: ${filters.discipline}`);
+  if (filters.min_citations > 0) parts.push(`≥ ${filters.min_citations} citations`);
+  if (filters.min_collaborations > 1) parts.push(`≥ ${filters.min_collaborations} collaborations`);
+  if (filters.limit) parts.push(`Top ${filters.limit}`);
+  return parts.join(' · ');
+}
+
+/**
+ * 绘制边、节点与标签，布局按比例缩放到绘图区域内并居中
+ * @private
+ */
+function renderNetwork(snapshot, plot, labels, labelCount) {
+  const nodes = snapshot.nodes.filter(node => Number.isFinite(node.x) && Number.isFinite(node.y));
+  if (nodes.length === 0) return '';
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  nodes.forEach(node => {
+    minX = Math.min(minX, node.x - node.radius);
+    minY = Math.min(minY, node.y - node.radius);
+    maxX = Math.max(maxX, node.x + node.radius);
+    maxY = Math.max(maxY, node.y + node.radius);
+  });
+  const boundsWidth = Math.max(maxX - minX, 1);
+  const boundsHeight = Math.max(maxY - minY, 1);
+  const scale = Math.min(plot.width / boundsWidth, plot.height / boundsHeight);
+  const offsetX = plot.x + (plot.width - boundsWidth * scale) / 2;
+  const offsetY = plot.y + (plot.height - boundsHeight * scale) / 2;
+
+  const positions = new Map();
+  nodes.forEach(node => {
+    positions.set(node.id, {
+      x: round(offsetX + (node.x - minX) * scale),
+      y: round(offsetY + (node.y - minY) * scale),
+      r: round(Math.max(node.radius * scale, 0.75))
+    });
+  });
+
+  const lines = [];
+  snapshot.links.forEach(link => {
+    const source = positions.get(link.source);
+    const target = positions.get(link.target);
+    if (!source || !target) return;
+    const width = round(Math.max((link.width || 1) * 0.5, 0.25));
+    lines.push(`<line x1="${source.x}" y1="${source.y}" x2="${target.x}" y2="${target.y}" stroke-width="${width}"/>`);
+  });
+
+  const circles = nodes.map(node => {
+    const position = positions.get(node.id);
+    return `<circle cx="${position.x}" cy="${position.y}" r="${position.r}" fill="${escapeXML(node.color || '#1f77b4')}"/>`;
+  });
+
+  let labelled = [];
+  if (labels === 'all') {
+    labelled = nodes;
+  } else if (labels === 'top') {
+    labelled = [...nodes].sort((a, b) => b.radius - a.radius).slice(0, labelCount);
+  }
+  const texts = labelled.filter(node => node.label).map(node => {
+    const position = positions.get(node.id);
+    const label = node.label.length > MAX_LABEL_LENGTH ? `${node.label.slice(0, MAX_LABEL_LENGTH - 1)}…` : node.label;
+    return `<text x="${round(position.x + position.r + 2)}" y="${round(position.y + LABEL_FONT_SIZE / 3)}">${escapeXML(label)}</text>`;
+  });
+
+  return [
+    `<g stroke="#999" stroke-opacity="0.5" fill="none">${lines.join('')}</g>`,
+    `<g stroke="#ffffff" stroke-width="0.5">${circles.join('')}</g>`,
+    texts.length > 0
+      ? `<g font-size="${LABEL_FONT_SIZE}" fill="#222" stroke="#ffffff" stroke-width="2" stroke-linejoin="round" paint-order="stroke">${texts.join('')}</g>`
+      : ''
+  ].join('\n');
+}
+
+/**
+ * 绘制一个图例分区（内容来自 legendConfig）
+ * @private
+ * @returns {Object} { markup, height }
+ */
+function renderLegendSection(section, index, x, y, width, defs) {
+  const parts = [];
+  const titleLines = wrapText(section.title, width, TEXT_FONT_SIZE);
+  let cursor = y;
+  titleLines.forEach(line => {
+    cursor += TEXT_FONT_SIZE + 2;
+    parts.push(`<text x="${round(x)}" y="${round(cursor)}" font-size="${TEXT_FONT_SIZE}" font-weight="bold" fill="#1f77b4">${escapeXML(line)}</text>`);
+  });
+  cursor += 6;
+
+  const itemFontSize = TEXT_FONT_SIZE - 1;
+  const textAt = (textX, textY, text, anchor = 'start') =>
+    `<text x="${round(textX)}" y="${round(textY)}" font-size="${itemFontSize}" fill="#555"${anchor === 'start' ? '' : ` text-anchor="${anchor}"`}>${escapeXML(text)}</text>`;
+  // 条目说明放在符号右侧，超出分区宽度时折行；返回多出的高度
+  const itemLabel = (text, baseline) => {
+    const lines = wrapText(text, width - 22, itemFontSize);
+    lines.forEach((line, lineIndex) => parts.push(textAt(x + 22, baseline + lineIndex * (itemFontSize + 1), line)));
+    return (lines.length - 1) * (itemFontSize + 1);
+  };
+
+  if (section.type === 'size' || section.type === 'uniform') {
+    // 图例半径按比例缩小，最大的圆直径约 16
+    const maxRadius = Math.max(...section.items.map(item => item.radius));
+    section.items.forEach(item => {
+      const r = Math.max(item.radius * (8 / maxRadius), 1.5);
+      const rowHeight = Math.max(r * 2, TEXT_FONT_SIZE) + 4;
+      const centerY = cursor + rowHeight / 2;
+      const label = item.detail ? `${item.label} (${item.detail})` : item.label;
+      parts.push(`<circle cx="${round(x + 8)}" cy="${round(centerY)}" r="${round(r)}" fill="${section.color}"/>`);
+      cursor += rowHeight + itemLabel(label, centerY + 3);
+    });
+  } else if (section.type === 'gradient') {
+    const gradientId = `legend-gradient-${index}`;
+    const stops = section.stops.map(stop => `<stop offset="${stop.offset}%" stop-color="${stop.color}"/>`).join('');
+    defs.push(`<linearGradient id="${gradientId}" x1="0" x2="1" y1="0" y2="0">${stops}</linearGradient>`);
+    parts.push(`<rect x="${round(x)}" y="${round(cursor)}" width="${round(width)}" height="8" rx="2" fill="url(#${gradientId})" stroke="#ddd" stroke-width="0.5"/>`);
+    cursor += 8 + TEXT_FONT_SIZE + 1;
+    const stopLabels = section.stopLabels || [];
+    if (stopLabels.length > 0) {
+      parts.push(textAt(x, cursor, stopLabels[0]));
+      parts.push(textAt(x + width, cursor, stopLabels[stopLabels.length - 1], 'end'));
+    }
+    cursor += 4;
+    (section.swatches || []).forEach(swatch => {
+      parts.push(`<rect x="${round(x + 3)}" y="${round(cursor + 2)}" width="10" height="10" rx="2" fill="${swatch.color}"/>`);
+      cursor += 14 + itemLabel(swatch.label, cursor + 10);
+    });
+  } else if (section.type === 'categorical') {
+    section.swatches.forEach(swatch => {
+      parts.push(`<rect x="${round(x + 3)}" y="${round(cursor + 2)}" width="10" height="10" rx="2" fill="${swatch.color}"/>`);
+      cursor += 14 + itemLabel(swatch.label, cursor + 10);
+    });
+  } else if (section.type === 'edge') {
+    section.items.forEach(item => {
+      const centerY = cursor + 7;
+      parts.push(`<line x1="${round(x)}" y1="${round(centerY)}" x2="${round(x + 16)}" y2="${round(centerY)}" stroke="${item.stroke}" stroke-width="${item.width}" stroke-opacity="${item.opacity}"/>`);
+      cursor += 14 + itemLabel(item.label, centerY + 3);
+    });
+  }
+
+  return { markup: parts.join(''), height: cursor - y };
+}
+
+/**
+ * 按估算的字符宽度折行（SVG 不支持自动换行）
+ * @private
+ */
+function wrapText(text, width, fontSize) {
+  const maxChars = Math.max(Math.floor(width / (fontSize * 0.55)), 10);
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * @private
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not rasterize the figure'));
+    image.src = url;
+  });
+}
+
+/**
+ * 在 IHDR 之后插入 pHYs 块，使图像软件按所选 DPI 显示物理尺寸
+ * @private
+ */
+async function setPNGResolution(blob, dpi) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+  // 长度(4) + 类型(4) + 数据(9) + CRC(4)
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // 单位：米
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // PNG 签名(8) + IHDR 块(25)
+  const ihdrEnd = 33;
+  return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+}
+
+let crcTable = null;
+
+/**
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @private
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  FIGURE_SIZES,
+  FIGURE_DPI_OPTIONS,
+  buildFigureSVG,
+  renderFigurePNG,
+  describeFilters
+};
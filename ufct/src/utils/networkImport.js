@@ -0,0 +1,591 @@
+/**
+ * 网络导入 - 解析本地 GraphML、GEXF、CSV（节点表 + 边表）与 JSON 文件
+ * 解析结果转换为与后端网络接口相同的结构 { nodes, edges, metadata }，
+ * 之后与接口数据走同一条路径：transformCitationNodes / transformCollaborationNodes、结构校验与渲染
+ */
+
+/**
+ * 支持的格式
+ */
+export const IMPORT_FORMATS = {
+  graphml: { label: 'GraphML', extensions: ['graphml', 'xml'] },
+  gexf: { label: 'GEXF', extensions: ['gexf'] },
+  csv: { label: 'CSV', extensions: ['csv', 'tsv', 'txt'] },
+  json: { label: 'JSON', extensions: ['json'] }
+};
+
+// 文件选择框的 accept 属性
+export const IMPORT_ACCEPT = Object.values(IMPORT_FORMATS)
+  .flatMap(format => format.extensions.map(ext => `.${ext}`))
+  .join(',');
+
+/**
+ * 属性名别名：导入文件中的列名 / 属性名（忽略大小写与分隔符）→ 后端 metadata 字段
+ * 未列出的属性原样保留在 metadata 中
+ */
+const NODE_FIELD_ALIASES = {
+  citation: {
+    title: ['title', 'label', 'name', 'displayname', 'papertitle'],
+    year: ['year', 'publicationyear', 'pubyear', 'date'],
+    citation_count: ['citationcount', 'citations', 'citedbycount', 'citedby', 'ncitations'],
+    venue: ['venue', 'journal', 'source', 'conference'],
+    url: ['url', 'link', 'doi', 'openalex']
+  },
+  collaboration: {
+    name: ['name', 'label', 'displayname', 'author', 'authorname'],
+    orcid: ['orcid'],
+    paper_count: ['papercount', 'papers', 'workscount', 'npapers', 'publications'],
+    affiliation: ['affiliation', 'institution', 'university', 'organization']
+  }
+};
+
+// 这些属性描述节点本身，不放入 metadata
+const NODE_RESERVED_KEYS = ['id', 'nodetype', 'type', 'community', 'modularityclass', 'metadata'];
+
+const NUMERIC_FIELDS = new Set(['year', 'citation_count', 'paper_count']);
+
+/**
+ * 根据文件名（必要时根据内容）判断格式
+ * @param {string} fileName - 文件名
+ * @param {string} text - 文件内容
+ * @returns {string|null} 'graphml' | 'gexf' | 'csv' | 'json'；无法识别时为 null
+ */
+export function detectFormat(fileName, text = '') {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  const head = text.slice(0, 2000).trimStart();
+
+  if (extension === 'gexf' || /<gexf[\s>]/i.test(head)) return 'gexf';
+  if (extension === 'graphml' || /<graphml[\s>]/i.test(head)) return 'graphml';
+  if (extension === 'json' || head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (IMPORT_FORMATS.csv.extensions.includes(extension)) return 'csv';
+  return null;
+}
+
+/**
+ * 解析一个或多个文件为后端网络结构
+ * CSV 可同时提供节点表与边表（按表头自动区分）；其他格式只接受一个文件
+ * @param {Array<Object>} files - [{ name, text }]
+ * @param {string} networkType - 'citation' | 'collaboration'，决定属性映射
+ * @returns {Object} { payload: { nodes, edges, metadata }, format, directed, warnings }
+ *   无法解析时抛出带有可读信息的 Error
+ */
+export function parseNetworkFiles(files, networkType = 'citation') {
+  if (!files || files.length === 0) {
+    throw new Error('No file selected');
+  }
+
+  const formats = files.map(file => ({ ...file, format: detectFormat(file.name, file.text) }));
+  const unknown = formats.find(file => !file.format);
+  if (unknown) {
+    throw new Error(`Unsupported file type: ${unknown.name}`);
+  }
+
+  const format = formats[0].format;
+  if (formats.some(file => file.format !== format)) {
+    throw new Error('All files must use the same format');
+  }
+  if (format !== 'csv' && formats.length > 1) {
+    throw new Error(`${IMPORT_FORMATS[format].label} imports take a single file`);
+  }
+
+  const warnings = [];
+  let graph;
+  if (format === 'graphml') {
+    graph = parseGraphML(formats[0].text);
+  } else if (format === 'gexf') {
+    graph = parseGEXF(formats[0].text);
+  } else if (format === 'json') {
+    graph = parseNetworkJSON(formats[0].text);
+  } else {
+    graph = parseCSVFiles(formats, warnings);
+  }
+
+  const payload = toBackendPayload(graph, networkType, warnings);
+  if (payload.nodes.length === 0) {
+    throw new Error('The file does not contain any nodes');
+  }
+  return { payload, format, directed: graph.directed, warnings };
+}
+
+/**
+ * 解析 GraphML
+ * @param {string} text - XML 文本
+ * @returns {Object} 通用图结构 { nodes: [{ id, attrs }], edges: [{ source, target, attrs }], directed }
+ */
+export function parseGraphML(text) {
+  const doc = parseXML(text, 'graphml');
+
+  // <key id="d0" for="node" attr.name="title"><default>…</default></key>
+  const keys = {};
+  elementsByTag(doc, 'key').forEach(key => {
+    const defaultElement = elementsByTag(key, 'default')[0];
+    keys[key.getAttribute('id')] = {
+      name: key.getAttribute('attr.name') || key.getAttribute('id'),
+      for: key.getAttribute('for') || 'all',
+      type: key.getAttribute('attr.type') || 'string',
+      defaultValue: defaultElement ? defaultElement.textContent : undefined
+    };
+  });
+
+  const readData = (element, kind) => {
+    const attrs = {};
+    Object.values(keys).forEach(key => {
+      if ((key.for === kind || key.for === 'all') && key.defaultValue !== undefined) {
+        attrs[key.name] = castXMLValue(key.defaultValue, key.type);
+      }
+    });
+    Array.from(element.children)
+      .filter(child => child.localName === 'data')
+      .forEach(data => {
+        const key = keys[data.getAttribute('key')] || { name: data.getAttribute('key'), type: 'string' };
+        attrs[key.name] = castXMLValue(data.textContent.trim(), key.type);
+      });
+    return attrs;
+  };
+
+  const graphElement = elementsByTag(doc, 'graph')[0];
+  if (!graphElement) {
+    throw new Error('GraphML file has no <graph> element');
+  }
+
+  return {
+    directed: graphElement.getAttribute('edgedefault') !== 'undirected',
+    nodes: elementsByTag(doc, 'node').map(node => ({
+      id: node.getAttribute('id'),
+      attrs: readData(node, 'node')
+    })),
+    edges: elementsByTag(doc, 'edge').map(edge => ({
+      source: edge.getAttribute('source'),
+      target: edge.getAttribute('target'),
+      attrs: readData(edge, 'edge')
+    }))
+  };
+}
+
+/**
+ * 解析 GEXF（Gephi 的默认格式，兼容 1.1 - 1.3 的 attvalue 写法）
+ * @param {string} text - XML 文本
+ * @returns {Object} 通用图结构
+ */
+export function parseGEXF(text) {
+  const doc = parseXML(text, 'gexf');
+  const graphElement = elementsByTag(doc, 'graph')[0];
+  if (!graphElement) {
+    throw new Error('GEXF file has no <graph> element');
+  }
+
+  // <attributes class="node"><attribute id="0" title="year" type="integer"><default/></attribute>
+  const attributes = { node: {}, edge: {} };
+  elementsByTag(doc, 'attributes').forEach(group => {
+    const kind = group.getAttribute('class') === 'edge' ? 'edge' : 'node';
+    elementsByTag(group, 'attribute').forEach(attribute => {
+      const defaultElement = elementsByTag(attribute, 'default')[0];
+      attributes[kind][attribute.getAttribute('id')] = {
+        name: attribute.getAttribute('title') || attribute.getAttribute('id'),
+        type: attribute.getAttribute('type') || 'string',
+        defaultValue: defaultElement ? defaultElement.textContent : undefined
+      };
+    });
+  });
+
+  const readAttValues = (element, kind) => {
+    const attrs = {};
+    Object.values(attributes[kind]).forEach(attribute => {
+      if (attribute.defaultValue !== undefined) {
+        attrs[attribute.name] = castXMLValue(attribute.defaultValue, attribute.type);
+      }
+    });
+    elementsByTag(element, 'attvalue').forEach(attvalue => {
+      const id = attvalue.getAttribute('for') || attvalue.getAttribute('id');
+      const attribute = attributes[kind][id] || { name: id, type: 'string' };
+      attrs[attribute.name] = castXMLValue(attvalue.getAttribute('value'), attribute.type);
+    });
+    return attrs;
+  };
+
+  const defaultEdgeType = graphElement.getAttribute('defaultedgetype') || 'undirected';
+
+  return {
+    directed: defaultEdgeType === 'directed',
+    nodes: elementsByTag(doc, 'node').map(node => {
+      const attrs = readAttValues(node, 'node');
+      if (node.getAttribute('label')) attrs.label = node.getAttribute('label');
+      return { id: node.getAttribute('id'), attrs };
+    }),
+    edges: elementsByTag(doc, 'edge').map(edge => {
+      const attrs = readAttValues(edge, 'edge');
+      if (edge.getAttribute('weight') !== null) attrs.weight = Number(edge.getAttribute('weight'));
+      if (edge.getAttribute('label')) attrs.label = edge.getAttribute('label');
+      return {
+        source: edge.getAttribute('source'),
+        target: edge.getAttribute('target'),
+        attrs
+      };
+    })
+  };
+}
+
+/**
+ * 解析 JSON：后端响应（{ status, data: { nodes, edges } }）、{ nodes, edges }、
+ * node-link 格式（{ nodes, links }，如 networkx.node_link_data 或 d3 的输出；links 可用下标引用节点）
+ * @param {string} text - JSON 文本
+ * @returns {Object} 通用图结构
+ */
+export function parseNetworkJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const root = data && data.data && (data.data.nodes || data.data.edges) ? data.data : data;
+  const rawNodes = Array.isArray(root?.nodes) ? root.nodes : null;
+  const rawEdges = Array.isArray(root?.edges) ? root.edges : (Array.isArray(root?.links) ? root.links : []);
+  if (!rawNodes) {
+    throw new Error('JSON file has no "nodes" array');
+  }
+
+  const nodes = rawNodes.map((node, index) => {
+    if (typeof node !== 'object' || node === null) {
+      return { id: String(node), attrs: {} };
+    }
+    const { id, metadata, ...rest } = node;
+    return {
+      id: id !== undefined ? String(id) : String(index),
+      attrs: { ...rest, ...(metadata && typeof metadata === 'object' ? metadata : {}) }
+    };
+  });
+
+  // 原始 ID 只收集一次：逐条边扫描全部节点在大文件上是 O(E·N)
+  const rawIds = new Set(rawNodes.map(node => node?.id));
+  const resolveEndpoint = (endpoint) => {
+    if (endpoint && typeof endpoint === 'object') return String(endpoint.id);
+    // d3 旧格式中 source / target 是节点下标
+    if (typeof endpoint === 'number' && !rawIds.has(endpoint)) {
+      return nodes[endpoint] ? nodes[endpoint].id : String(endpoint);
+    }
+    return String(endpoint);
+  };
+
+  return {
+    directed: root.directed !== false,
+    nodes,
+    edges: rawEdges.map(edge => {
+      const { source, target, metadata, ...rest } = edge;
+      return {
+        source: resolveEndpoint(source),
+        target: resolveEndpoint(target),
+        attrs: { ...rest, ...(metadata && typeof metadata === 'object' ? { metadata } : {}) }
+      };
+    })
+  };
+}
+
+/**
+ * 解析 CSV 文件：表头含 source/target（或 from/to）的是边表，含 id 的是节点表
+ * 只有边表时，节点由边的两端生成
+ * @param {Array<Object>} files - [{ name, text }]
+ * @param {Array<string>} warnings - 收集非致命问题
+ * @returns {Object} 通用图结构
+ */
+export function parseCSVFiles(files, warnings = []) {
+  let nodeRows = null;
+  let edgeRows = null;
+
+  files.forEach(file => {
+    const rows = parseCSV(file.text);
+    if (rows.length === 0) {
+      warnings.push(`${file.name} is empty`);
+      return;
+    }
+    const columns = Object.keys(rows[0]).map(normalizeKey);
+    const hasEndpoints = (columns.includes('source') && columns.includes('target')) ||
+      (columns.includes('from') && columns.includes('to'));
+
+    if (hasEndpoints) {
+      if (edgeRows) throw new Error('More than one edge table was provided');
+      edgeRows = rows;
+    } else if (columns.includes('id')) {
+      if (nodeRows) throw new Error('More than one node table was provided');
+      nodeRows = rows;
+    } else {
+      throw new Error(`${file.name}: expected an "id" column (nodes) or "source"/"target" columns (edges)`);
+    }
+  });
+
+  if (!edgeRows && !nodeRows) {
+    throw new Error('No rows found in the CSV files');
+  }
+
+  const pick = (row, ...names) => {
+    const key = Object.keys(row).find(column => names.includes(normalizeKey(column)));
+    return key !== undefined ? row[key] : undefined;
+  };
+  const omit = (row, ...names) => {
+    const attrs = {};
+    Object.entries(row).forEach(([column, value]) => {
+      if (!names.includes(normalizeKey(column)) && value !== '') attrs[column] = value;
+    });
+    return attrs;
+  };
+
+  const edges = (edgeRows || []).map(row => ({
+    source: String(pick(row, 'source', 'from')),
+    target: String(pick(row, 'target', 'to')),
+    attrs: omit(row, 'source', 'target', 'from', 'to', 'id')
+  }));
+
+  let nodes;
+  if (nodeRows) {
+    nodes = nodeRows.map(row => ({ id: String(pick(row, 'id')), attrs: omit(row, 'id') }));
+  } else {
+    const ids = new Set();
+    edges.forEach(edge => {
+      ids.add(edge.source);
+      ids.add(edge.target);
+    });
+    nodes = Array.from(ids).map(id => ({ id, attrs: {} }));
+    warnings.push('No node table provided; nodes were created from the edge endpoints without attributes');
+  }
+
+  // Gephi 导出的边表带有 Type 列（Directed / Undirected）
+  const firstType = edgeRows && edgeRows.length > 0 ? String(pick(edgeRows[0], 'type') || '') : '';
+  return {
+    directed: firstType.toLowerCase() !== 'undirected',
+    nodes,
+    edges
+  };
+}
+
+/**
+ * 解析 CSV 文本（RFC 4180：双引号转义、字段内换行），自动识别逗号 / 分号 / 制表符分隔
+ * @param {string} text - CSV 文本
+ * @returns {Array<Object>} 以表头为键的行对象
+ */
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(values => values.some(value => value.trim() !== ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(column => column.trim());
+  return rows.slice(1).map(values => {
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+}
+
+/**
+ * 通用图结构 → 后端网络结构，按网络类型映射属性
+ * @private
+ */
+function toBackendPayload(graph, networkType, warnings) {
+  const aliases = NODE_FIELD_ALIASES[networkType] || NODE_FIELD_ALIASES.citation;
+  const isCitation = networkType !== 'collaboration';
+
+  const seen = new Set();
+  const nodes = [];
+  graph.nodes.forEach(({ id, attrs }) => {
+    if (id === null || id === undefined || id === '' || id === 'undefined') return;
+    const nodeId = String(id);
+    if (seen.has(nodeId)) return;
+    seen.add(nodeId);
+
+    const metadata = {};
+    const used = new Set();
+    Object.entries(aliases).forEach(([field, names]) => {
+      // 按别名的先后顺序匹配，例如同时有 title 与 label 时取 title
+      let key;
+      names.some(name => {
+        key = Object.keys(attrs).find(attr => !used.has(attr) && normalizeKey(attr) === name);
+        return key !== undefined;
+      });
+      if (key === undefined) return;
+      used.add(key);
+      metadata[field] = NUMERIC_FIELDS.has(field) ? toInteger(attrs[key], field) : String(attrs[key]);
+    });
+    Object.entries(attrs).forEach(([key, value]) => {
+      if (!used.has(key) && !NODE_RESERVED_KEYS.includes(normalizeKey(key))) {
+        metadata[key] = value;
+      }
+    });
+
+    const labelField = isCitation ? 'title' : 'name';
+    const node = {
+      id: nodeId,
+      label: metadata[labelField] || nodeId,
+      node_type: attrs.node_type || (isCitation ? 'paper' : 'author'),
+      metadata
+    };
+    // Gephi 把模块度写作 "Modularity Class"（GEXF 与 CSV 中都是标题），同样按规范化后的键名查找
+    const communityKey = ['community', 'modularityclass']
+      .map(name => Object.keys(attrs).find(attr => normalizeKey(attr) === name))
+      .find(key => key !== undefined);
+    const community = communityKey !== undefined ? attrs[communityKey] : undefined;
+    if (community !== undefined && Number.isFinite(Number(community))) {
+      node.community = Number(community);
+    }
+    nodes.push(node);
+  });
+
+  let dropped = 0;
+  const edges = [];
+  graph.edges.forEach(({ source, target, attrs }) => {
+    if (!seen.has(source) || !seen.has(target)) {
+      dropped++;
+      return;
+    }
+    const weight = Number(attrs.weight ?? attrs.Weight);
+    const edge = {
+      source,
+      target,
+      weight: Number.isFinite(weight) && weight > 0 ? weight : 1
+    };
+    if (isCitation) {
+      edge.edge_type = attrs.edge_type || 'cites';
+      edge.metadata = attrs.metadata || {};
+    } else if (Array.isArray(attrs.papers)) {
+      edge.papers = attrs.papers;
+    }
+    edges.push(edge);
+  });
+  if (dropped > 0) {
+    warnings.push(`${dropped} edges reference nodes that are not in the file and were skipped`);
+  }
+
+  const nodeCount = nodes.length;
+  const possibleEdges = nodeCount * (nodeCount - 1) / (graph.directed ? 1 : 2);
+  return {
+    nodes,
+    edges,
+    metadata: {
+      total_nodes: nodeCount,
+      total_edges: edges.length,
+      network_density: possibleEdges > 0 ? edges.length / possibleEdges : 0,
+      avg_degree: nodeCount > 0 ? (2 * edges.length) / nodeCount : 0
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function parseXML(text, rootName) {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('XML parsing is not available in this environment');
+  }
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const parseError = elementsByTag(doc, 'parsererror')[0];
+  if (parseError) {
+    throw new Error(`Invalid XML: ${parseError.textContent.split('\n')[0]}`);
+  }
+  if (doc.documentElement.localName !== rootName) {
+    throw new Error(`Expected a <${rootName}> document, found <${doc.documentElement.localName}>`);
+  }
+  return doc;
+}
+
+/**
+ * 忽略命名空间按标签名查找（GraphML / GEXF 都带默认命名空间）
+ * @private
+ */
+function elementsByTag(root, localName) {
+  return Array.from(root.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * @private
+ */
+function castXMLValue(value, type) {
+  if (value === null || value === undefined) return value;
+  switch (type) {
+    case 'int':
+    case 'integer':
+    case 'long':
+    case 'float':
+    case 'double': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : value;
+    }
+    case 'boolean':
+      return value === 'true' || value === '1';
+    default:
+      return value;
+  }
+}
+
+/**
+ * "Citation Count"、"citation_count"、"citationCount" → "citationcount"
+ * @private
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * 年份取前四位数字（兼容 "2021-05-01"），无法解析时保留原值交给结构校验报告
+ * @private
+ */
+function toInteger(value, field) {
+  if (typeof value === 'number') return Math.round(value);
+  const text = String(value).trim();
+  const match = field === 'year' ? text.match(/^\d{4}/) : null;
+  const number = Number(match ? match[0] : text);
+  return Number.isFinite(number) && text !== '' ? Math.round(number) : value;
+}
+
+export default {
+  IMPORT_FORMATS,
+  IMPORT_ACCEPT,
+  detectFormat,
+  parseNetworkFiles,
+  parseGraphML,
+  parseGEXF,
+  parseNetworkJSON,
+  parseCSVFiles,
+  parseCSV
+};
@@ -0,0 +1,255 @@
+/**
+ * 节点视觉编码 - 根据节点数据计算大小、颜色与边宽
+ * NetworkGraph 与基准测试共用，保证测得的是实际渲染路径
+ */
+
+/**
+ * 可用于节点大小与颜色的指标，按 log10(x + 1) 映射（计数接近对数尺度，0-1 的中心性接近线性）
+ * value(node, context)：context 为 { degrees, centrality, pagerank, hits, communities, cores }，degrees 为当前渲染子图中各节点的度数，
+ * cores 为主线程在已加载网络上算出的核数（见 coreDecomposition.js），
+ * 其余为 Worker 在已加载网络上算出的结果（见 centrality.js、linkAnalysis.js、communityDetection.js），尚未算出时为 null
+ * networkTypes 为空表示两种网络都可用；analysis 表示取值依赖的后台分析
+ * categorical 的指标是类别编号（-1 表示未归类），只用于颜色，按类别调色板着色
+ */
+export const NODE_ENCODINGS = {
+  citations: {
+    label: 'Citation count',
+    value: node => getCitationValue(node)
+  },
+  degree: {
+    label: 'Degree (links on screen)',
+    value: (node, context) => context.degrees?.[node.id] || 0
+  },
+  papers: {
+    label: 'Paper count',
+    networkTypes: ['collaboration'],
+    value: node => node.papers || node.paperCount || 0
+  },
+  hIndex: {
+    label: 'h-index',
+    networkTypes: ['collaboration'],
+    value: node => node.hIndex || 0
+  },
+  coreNumber: {
+    label: 'Core number (k-core)',
+    value: (node, context) => context.cores?.degree.cores[node.id] || 0
+  },
+  strengthCore: {
+    label: 'Strength core (s-core)',
+    value: (node, context) => context.cores?.strength.cores[node.id] || 0
+  },
+  betweenness: {
+    label: 'Betweenness centrality',
+    analysis: 'centrality',
+    value: (node, context) => context.centrality?.betweenness[node.id] || 0
+  },
+  closeness: {
+    label: 'Closeness centrality',
+    analysis: 'centrality',
+    value: (node, context) => context.centrality?.closeness[node.id] || 0
+  },
+  harmonic: {
+    label: 'Harmonic centrality',
+    analysis: 'centrality',
+    value: (node, context) => context.centrality?.harmonic[node.id] || 0
+  },
+  pagerank: {
+    label: 'PageRank',
+    networkTypes: ['citation'],
+    analysis: 'pagerank',
+    value: (node, context) => context.pagerank?.scores[node.id] || 0
+  },
+  authority: {
+    label: 'HITS authority',
+    networkTypes: ['citation'],
+    analysis: 'hits',
+    value: (node, context) => context.hits?.authorities[node.id] || 0
+  },
+  hub: {
+    label: 'HITS hub',
+    networkTypes: ['citation'],
+    analysis: 'hits',
+    value: (node, context) => context.hits?.hubs[node.id] || 0
+  },
+  community: {
+    label: 'Community',
+    analysis: 'communities',
+    categorical: true,
+    value: (node, context) => context.communities?.membership[node.id] ?? -1
+  }
+};
+
+export const DEFAULT_ENCODING = 'citations';
+
+/**
+ * 类别调色板：编号 0-9（社区按规模排序，即最大的 10 个社区）依次取色，其余为灰色
+ */
+export const CATEGORY_COLORS = [
+  '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+  '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#17becf'
+];
+
+export const OTHER_CATEGORY_COLOR = '#c7c7c7';
+
+/**
+ * 某种网络可用的编码指标
+ * @param {string} networkType - 'citation' | 'collaboration'
+ * @param {string} channel - 'size' 时不含类别指标
+ * @returns {Object} key → { label, value }
+ */
+export function getNodeEncodings(networkType, channel = 'color') {
+  const encodings = {};
+  Object.entries(NODE_ENCODINGS).forEach(([key, encoding]) => {
+    if (channel === 'size' && encoding.categorical) return;
+    if (!encoding.networkTypes || encoding.networkTypes.includes(networkType)) {
+      encodings[key] = encoding;
+    }
+  });
+  return encodings;
+}
+
+/**
+ * 编码指标依赖的后台分析
+ * @param {string} key - NODE_ENCODINGS 中的键
+ * @returns {string|null} 例如 'centrality'，不依赖时为 null
+ */
+export function getEncodingAnalysis(key) {
+  return NODE_ENCODINGS[key]?.analysis || null;
+}
+
+/**
+ * 是否为类别指标
+ * @param {string} key - NODE_ENCODINGS 中的键
+ * @returns {boolean}
+ */
+export function isCategoricalEncoding(key) {
+  return Boolean(NODE_ENCODINGS[key]?.categorical);
+}
+
+/**
+ * 编码指标 → 取值函数，未知的指标退回被引次数
+ * @param {string} key - NODE_ENCODINGS 中的键
+ * @param {Object} context - { degrees, centrality, pagerank, hits, communities, cores }
+ * @returns {Function} node → number
+ */
+export function getEncodingAccessor(key, context = {}) {
+  const encoding = NODE_ENCODINGS[key] || NODE_ENCODINGS[DEFAULT_ENCODING];
+  return node => encoding.value(node, context);
+}
+
+/**
+ * 基于真实的节点数据（默认为被引用次数）计算节点大小
+ * 使用对数尺度以处理高度倾斜的分布（许多低引用，少数极高引用）
+ * @param {Array} nodes - 节点数组
+ * @param {Function} getValue - 节点 → 编码的指标值，默认为被引次数
+ * @returns {Object} 节点ID -> 大小的映射
+ */
+export function calculateNodeSizesFromData(nodes, getValue = getCitationValue) {
+  const sizes = {};
+
+  if (nodes.length === 0) return sizes;
+
+  // 获取所有节点的引用次数，使用对数尺度处理高度倾斜的数据
+  let minLog = Infinity;
+  let maxLog = -Infinity;
+  nodes.forEach(node => {
+    const logCitation = Math.log10(getValue(node) + 1);
+    if (logCitation < minLog) minLog = logCitation;
+    if (logCitation > maxLog) maxLog = logCitation;
+  });
+  const logRange = maxLog - minLog || 1;
+
+  // 映射到 4-35 的大小范围
+  const MIN_SIZE = 4;
+  const MAX_SIZE = 35;
+
+  nodes.forEach(node => {
+    const logCitation = Math.log10(getValue(node) + 1);
+    const normalized = (logCitation - minLog) / logRange;
+    sizes[node.id] = MIN_SIZE + normalized * (MAX_SIZE - MIN_SIZE);
+  });
+
+  return sizes;
+}
+
+/**
+ * 基于真实的节点数据（默认为被引用次数）计算节点颜色
+ * 使用HSL色轮从蓝色→青色→黄色→红色，表示被引用次数的递增
+ *
+ * 颜色编码：
+ * - 蓝色 (240°): 0-100 引用
+ * - 青色 (180°): 100-1000 引用
+ * - 黄色 (60°): 1000-5000 引用
+ * - 红色 (0°): >5000 引用
+ * @param {Array} nodes - 节点数组
+ * @param {Function} getValue - 节点 → 编码的指标值，默认为被引次数
+ * @returns {Object} 节点ID -> 颜色的映射
+ */
+export function calculateNodeColorsFromData(nodes, getValue = getCitationValue) {
+  const colors = {};
+
+  if (nodes.length === 0) return colors;
+
+  // 使用对数尺度来确定颜色映射
+  const maxCitations = nodes.reduce((max, node) => Math.max(max, getValue(node)), 0);
+  const logMax = Math.log10(maxCitations + 1) || 1;
+
+  nodes.forEach(node => {
+    // 使用对数归一化
+    const normalized = Math.log10(getValue(node) + 1) / logMax; // 0-1
+
+    // 从蓝色 (240°) 到红色 (0°) 的 HSL 色轮映射
+    // 逆序：240° (蓝) → 180° (青) → 60° (黄) → 0° (红)
+    const hue = 240 - normalized * 240;
+    const saturation = 80; // 保持饱和度
+    const lightness = 45 + normalized * 10; // 随着引用数增加，颜色稍微变浅
+
+    colors[node.id] = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+  });
+
+  return colors;
+}
+
+/**
+ * 按类别编号计算节点颜色
+ * @param {Array} nodes - 节点数组
+ * @param {Function} getCategory - 节点 → 类别编号
+ * @returns {Object} 节点ID -> 颜色的映射
+ */
+export function calculateNodeColorsByCategory(nodes, getCategory) {
+  const colors = {};
+  nodes.forEach(node => {
+    colors[node.id] = getCategoryColor(getCategory(node));
+  });
+  return colors;
+}
+
+/**
+ * 类别编号 → 调色板颜色，超出调色板或未归类时为灰色
+ * @param {number} category
+ * @returns {string}
+ */
+export function getCategoryColor(category) {
+  return CATEGORY_COLORS[category] || OTHER_CATEGORY_COLOR;
+}
+
+/**
+ * 计算边的宽度：基于权重（引用计数）
+ * 使用平方根尺度使差异更明显但不会过度
+ * @param {Object} link - 边
+ * @returns {number} 像素宽度
+ */
+export function calculateLinkWidth(link) {
+  const weight = link.weight || 1;
+  // 权重 1 → 0.8px
+  // 权重 5 → 1.8px
+  // 权重 10+ → 2.8px
+  return 0.8 + Math.min(Math.sqrt(weight), 5) * 0.4;
+}
+
+/**
+ * @private
+ */
+function getCitationValue(node) {
+  return node.citations || node.citationCount || 0;
+}
@@ -0,0 +1,426 @@
+/**
+ * 接口响应结构约定 - 声明式描述三个接口返回的数据结构，并在运行时校验
+ * 校验结果是一份结构化报告（悬空边、缺失元数据、类型错误、重复 ID 等），
+ * 由诊断抽屉展示，后端契约变化时无需打开开发者工具即可发现
+ *
+ * 字段描述：
+ *   { type, required, nullable, properties, items, values, missingCategory }
+ *   type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any'
+ *   properties: 对象字段；items: 数组元素；values: 字典（任意键）的值
+ *   missingCategory: 必填字段缺失时归入的类别，子字段继承
+ */
+
+// 每个类别最多保留的示例条数，其余只计数
+const MAX_EXAMPLES_PER_CATEGORY = 25;
+
+/**
+ * 问题类别
+ */
+export const ISSUE_CATEGORIES = {
+  'dangling-edge': {
+    label: 'Dangling edge endpoints',
+    severity: 'error',
+    description: 'Edges whose source or target is not in the node list; they are dropped when rendering'
+  },
+  'duplicate-id': {
+    label: 'Duplicate IDs',
+    severity: 'error',
+    description: 'Entries that share an identifier; only the first one is kept'
+  },
+  'wrong-type': {
+    label: 'Wrong types',
+    severity: 'error',
+    description: 'Fields whose value type differs from the contract'
+  },
+  'missing-field': {
+    label: 'Missing fields',
+    severity: 'error',
+    description: 'Required fields that are absent'
+  },
+  'missing-metadata': {
+    label: 'Missing metadata',
+    severity: 'warning',
+    description: 'Metadata fields that are absent; defaults are shown instead'
+  }
+};
+
+const NETWORK_METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    total_nodes: { type: 'integer' },
+    total_edges: { type: 'integer' },
+    network_density: { type: 'number' },
+    avg_degree: { type: 'number' }
+  }
+};
+
+export const CITATION_NETWORK_SCHEMA = {
+  type: 'object',
+  properties: {
+    nodes: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true },
+          label: { type: 'string' },
+          node_type: { type: 'string' },
+          metadata: {
+            type: 'object',
+            required: true,
+            missingCategory: 'missing-metadata',
+            properties: {
+              title: { type: 'string', required: true },
+              year: { type: 'integer', required: true },
+              citation_count: { type: 'number', required: true },
+              venue: { type: 'string', nullable: true },
+              url: { type: 'string', nullable: true }
+            }
+          }
+        }
+      }
+    },
+    edges: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', required: true },
+          target: { type: 'string', required: true },
+          edge_type: { type: 'string' },
+          weight: { type: 'number' },
+          metadata: { type: 'object', nullable: true }
+        }
+      }
+    },
+    metadata: NETWORK_METADATA_SCHEMA
+  }
+};
+
+export const COLLABORATION_NETWORK_SCHEMA = {
+  type: 'object',
+  properties: {
+    nodes: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true },
+          label: { type: 'string' },
+          node_type: { type: 'string' },
+          community: { type: 'integer', nullable: true },
+          size: { type: 'number', nullable: true },
+          color: { type: 'string', nullable: true },
+          metadata: {
+            type: 'object',
+            required: true,
+            missingCategory: 'missing-metadata',
+            properties: {
+              name: { type: 'string', required: true },
+              orcid: { type: 'string', nullable: true },
+              paper_count: { type: 'number', required: true }
+            }
+          }
+        }
+      }
+    },
+    edges: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', required: true },
+          target: { type: 'string', required: true },
+          weight: { type: 'number', required: true },
+          papers: { type: 'array', nullable: true }
+        }
+      }
+    },
+    communities: { type: 'array' },
+    metadata: NETWORK_METADATA_SCHEMA
+  }
+};
+
+const HISTOGRAM_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      bin_range: { type: 'string', required: true },
+      bin_start: { type: 'number', required: true },
+      bin_end: { type: 'number', required: true },
+      count: { type: 'integer', required: true },
+      percentage: { type: 'number', required: true }
+    }
+  }
+};
+
+export const PAPER_STATISTICS_SCHEMA = {
+  type: 'object',
+  properties: {
+    timeline: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          year: { type: 'integer', required: true },
+          paperCount: { type: 'integer', required: true },
+          growth_rate: { type: 'number', nullable: true }
+        }
+      }
+    },
+    global_histogram: { ...HISTOGRAM_SCHEMA, required: true },
+    histogram_by_year: { type: 'object', values: HISTOGRAM_SCHEMA },
+    metadata: {
+      type: 'object',
+      required: true,
+      missingCategory: 'missing-metadata',
+      properties: {
+        total_papers: { type: 'integer', required: true },
+        total_citations: { type: 'number' },
+        avg_citation_count_per_paper: { type: 'number' },
+        max_citation_count: { type: 'number' },
+        min_citation_count: { type: 'number' },
+        citation_count_std_dev: { type: 'number' },
+        year_range: { type: 'object' }
+      }
+    }
+  }
+};
+
+/**
+ * 校验引用网络数据
+ * @param {Object} payload - { nodes, edges, metadata }
+ * @returns {Object} 校验报告（见 createReport）
+ */
+export function validateCitationPayload(payload) {
+  const report = createReport('citation-network');
+  validateAgainstSchema(payload, CITATION_NETWORK_SCHEMA, '', report);
+  checkGraphIntegrity(payload, report);
+  return finalizeReport(report, {
+    nodes: countOf(payload?.nodes),
+    edges: countOf(payload?.edges)
+  });
+}
+
+/**
+ * 校验作者协作网络数据
+ * @param {Object} payload - { nodes, edges, metadata, communities }
+ * @returns {Object} 校验报告
+ */
+export function validateCollaborationPayload(payload) {
+  const report = createReport('collaboration-network');
+  validateAgainstSchema(payload, COLLABORATION_NETWORK_SCHEMA, '', report);
+  checkGraphIntegrity(payload, report);
+  return finalizeReport(report, {
+    nodes: countOf(payload?.nodes),
+    edges: countOf(payload?.edges)
+  });
+}
+
+/**
+ * 校验论文统计数据
+ * @param {Object} payload - { timeline, global_histogram, histogram_by_year, metadata }
+ * @returns {Object} 校验报告
+ */
+export function validateStatisticsPayload(payload) {
+  const report = createReport('paper-statistics');
+  validateAgainstSchema(payload, PAPER_STATISTICS_SCHEMA, '', report);
+
+  // 时间线中的年份应唯一
+  if (Array.isArray(payload?.timeline)) {
+    const seenYears = new Set();
+    payload.timeline.forEach((item, index) => {
+      if (item?.year === undefined) return;
+      if (seenYears.has(item.year)) {
+        addIssue(report, 'duplicate-id', `timeline[${index}].year`, `Year ${item.year} appears more than once`);
+      }
+      seenYears.add(item.year);
+    });
+  }
+
+  return finalizeReport(report, {
+    timelinePoints: countOf(payload?.timeline),
+    histogramBins: countOf(payload?.global_histogram),
+    years: Object.keys(payload?.histogram_by_year || {}).length
+  });
+}
+
+/**
+ * 按字段描述递归校验，问题写入 report
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - 字段描述
+ * @param {string} path - 当前路径，例如 'nodes[3].metadata.year'
+ * @param {Object} report - 报告
+ * @param {string} missingCategory - 继承的缺失类别
+ */
+export function validateAgainstSchema(value, schema, path, report, missingCategory = 'missing-field') {
+  const category = schema.missingCategory || missingCategory;
+
+  if (value === undefined) {
+    if (schema.required) {
+      addIssue(report, category, path || '(root)', 'Required field is missing');
+    }
+    return;
+  }
+  if (value === null) {
+    if (!schema.nullable) {
+      addIssue(report, schema.required ? category : 'wrong-type', path || '(root)', `Expected ${schema.type}, got null`);
+    }
+    return;
+  }
+  if (!matchesType(value, schema.type)) {
+    addIssue(report, 'wrong-type', path || '(root)', `Expected ${schema.type}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.properties) {
+    Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+      validateAgainstSchema(value[key], fieldSchema, path ? `${path}.${key}` : key, report, category);
+    });
+  }
+  if (schema.items) {
+    value.forEach((item, index) => {
+      validateAgainstSchema(item, schema.items, `${path}[${index}]`, report, category);
+    });
+  }
+  if (schema.values) {
+    Object.entries(value).forEach(([key, item]) => {
+      validateAgainstSchema(item, schema.values, `${path}.${key}`, report, category);
+    });
+  }
+}
+
+/**
+ * 图结构检查：重复节点 ID、指向不存在节点的边
+ * @private
+ */
+function checkGraphIntegrity(payload, report) {
+  if (!Array.isArray(payload?.nodes)) return;
+
+  const nodeIds = new Set();
+  payload.nodes.forEach((node, index) => {
+    if (node?.id === undefined || node?.id === null) return;
+    if (nodeIds.has(node.id)) {
+      addIssue(report, 'duplicate-id', `nodes[${index}].id`, `Node ID "${node.id}" appears more than once`);
+    }
+    nodeIds.add(node.id);
+  });
+
+  if (!Array.isArray(payload.edges)) return;
+  payload.edges.forEach((edge, index) => {
+    if (!edge) return;
+    ['source', 'target'].forEach(end => {
+      const id = typeof edge[end] === 'object' && edge[end] !== null ? edge[end].id : edge[end];
+      if (id !== undefined && !nodeIds.has(id)) {
+        addIssue(report, 'dangling-edge', `edges[${index}].${end}`, `References unknown node "${id}"`);
+      }
+    });
+  });
+}
+
+/**
+ * @private
+ */
+function createReport(schemaName) {
+  return {
+    schema: schemaName,
+    counts: Object.keys(ISSUE_CATEGORIES).reduce((acc, key) => ({ ...acc, [key]: 0 }), {}),
+    issues: [],
+    omitted: 0
+  };
+}
+
+/**
+ * @private
+ */
+function addIssue(report, category, path, message) {
+  report.counts[category]++;
+  if (report.counts[category] > MAX_EXAMPLES_PER_CATEGORY) {
+    report.omitted++;
+    return;
+  }
+  report.issues.push({
+    category,
+    severity: ISSUE_CATEGORIES[category].severity,
+    path,
+    message
+  });
+}
+
+/**
+ * @private
+ */
+function finalizeReport(report, totals) {
+  const errorCount = Object.entries(report.counts)
+    .filter(([category]) => ISSUE_CATEGORIES[category].severity === 'error')
+    .reduce((sum, [, count]) => sum + count, 0);
+  const warningCount = Object.values(report.counts).reduce((sum, count) => sum + count, 0) - errorCount;
+
+  const finalized = {
+    ...report,
+    totals,
+    errorCount,
+    warningCount,
+    valid: errorCount === 0,
+    checkedAt: new Date().toISOString()
+  };
+
+  if (errorCount > 0 || warningCount > 0) {
+    console.warn(`⚠ ${report.schema} response does not match the contract:`, finalized.counts);
+  }
+  return finalized;
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * @private
+ */
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isInteger(value)) return 'number';
+  if (typeof value === 'number') return 'integer';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function countOf(list) {
+  return Array.isArray(list) ? list.length : 0;
+}
+
+export default {
+  ISSUE_CATEGORIES,
+  CITATION_NETWORK_SCHEMA,
+  COLLABORATION_NETWORK_SCHEMA,
+  PAPER_STATISTICS_SCHEMA,
+  validateCitationPayload,
+  validateCollaborationPayload,
+  validateStatisticsPayload,
+  validateAgainstSchema
+};
@@ -0,0 +1,102 @@
+/**
+ * 可复现的伪随机数工具
+ * 相同种子总是得到相同序列，用于模拟数据、基准测试图和布局初始位置
+ */
+
+/**
+ * 将任意字符串/数字转换为 32 位无符号整数种子（FNV-1a）
+ * @param {string|number} value - 种子来源
+ * @returns {number} 32 位种子
+ */
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 创建带种子的随机数生成器（mulberry32）
+ * @param {string|number} seed - 种子
+ * @returns {Function} () => [0, 1) 之间的浮点数
+ */
+export function createSeededRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 生成 [min, max] 区间内的随机整数
+ * @param {Function} random - 随机数生成器
+ * @param {number} min - 最小值（含）
+ * @param {number} max - 最大值（含）
+ * @returns {number}
+ */
+export function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * 从数组中随机取一个元素
+ * @param {Function} random - 随机数生成器
+ * @param {Array} items - 候选元素
+ * @returns {*}
+ */
+export function randomPick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * 按权重随机取下标
+ * @param {Function} random - 随机数生成器
+ * @param {Array<number>} weights - 非负权重
+ * @param {number} total - 权重之和（可选，避免重复求和）
+ * @returns {number} 选中的下标
+ */
+export function randomWeightedIndex(random, weights, total) {
+  const sum = total ?? weights.reduce((acc, w) => acc + w, 0);
+  let threshold = random() * sum;
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i];
+    if (threshold < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/**
+ * 重尾分布的正数（对数正态近似），用于引用数、论文数等
+ * @param {Function} random - 随机数生成器
+ * @param {number} mu - 对数均值
+ * @param {number} sigma - 对数标准差
+ * @returns {number}
+ */
+export function randomLogNormal(random, mu = 0, sigma = 1) {
+  // Box-Muller
+  const u = 1 - random();
+  const v = random();
+  const normal = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  return Math.exp(mu + sigma * normal);
+}
+
+/**
+ * 用给定随机数生成器原地打乱数组（Fisher-Yates）
+ * @param {Function} random - 随机数生成器
+ * @param {Array} items - 要打乱的数组
+ * @returns {Array} 同一数组
+ */
+export function shuffleInPlace(random, items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,155 @@
+/**
+ * 最短路径 - 两个节点之间的最短路径与前 k 条最短路径（Yen 算法，路径不含重复节点）
+ * 边按无向处理：问题是「A 与 B 如何相连」，引用方向不影响连接关系
+ * 加权时边的长度为 1 / weight，合作论文越多（引用次数越多）的边越「短」；不加权时长度为 1，即按步数
+ */
+
+import { createMinHeap } from './binaryHeap';
+
+/**
+ * 最多计算的路径条数
+ */
+export const MAX_PATH_COUNT = 5;
+
+/**
+ * 查找 source 到 target 的前 k 条最短路径
+ * @param {Array} nodes - 节点数组（只用到 id）
+ * @param {Array} links - 边数组，source / target 为 ID 或节点对象，可带 weight
+ * @param {string} sourceId - 起点
+ * @param {string} targetId - 终点
+ * @param {Object} options - { k, weighted }
+ * @returns {Object} { paths: [{ nodeIds, cost, hops }]（按长度从短到长）, weighted }，不连通时 paths 为空
+ */
+export function findShortestPaths(nodes, links, sourceId, targetId, options = {}) {
+  const { k = 1, weighted = false } = options;
+  const { ids, indexById, adjacency } = buildGraph(nodes, links, weighted);
+  const source = indexById.get(sourceId);
+  const target = indexById.get(targetId);
+  const result = { paths: [], weighted };
+  if (source === undefined || target === undefined) return result;
+
+  const toPath = ({ path, cost }) => ({ nodeIds: path.map(index => ids[index]), cost, hops: path.length - 1 });
+  const first = dijkstra(adjacency, source, target, new Uint8Array(ids.length), new Set());
+  if (!first) return result;
+
+  const found = [first];
+  const candidates = [];
+  const seen = new Set([first.path.join(',')]);
+  const count = Math.min(Math.max(1, k), MAX_PATH_COUNT);
+
+  while (found.length < count) {
+    const previous = found[found.length - 1].path;
+    for (let i = 0; i < previous.length - 1; i++) {
+      const spur = previous[i];
+      const root = previous.slice(0, i + 1);
+
+      // 与已找到路径共享同一前缀时，去掉它们从分叉点出发的那条边
+      const removedEdges = new Set();
+      found.forEach(({ path }) => {
+        if (path.length > i + 1 && root.every((node, position) => path[position] === node)) {
+          removedEdges.add(edgeKey(path[i], path[i + 1]));
+        }
+      });
+      const removedNodes = new Uint8Array(ids.length);
+      root.slice(0, -1).forEach(node => {
+        removedNodes[node] = 1;
+      });
+
+      const spurPath = dijkstra(adjacency, spur, target, removedNodes, removedEdges);
+      if (!spurPath) continue;
+      const path = [...root.slice(0, -1), ...spurPath.path];
+      const key = path.join(',');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push({ path, cost: pathCost(adjacency, root) + spurPath.cost });
+    }
+
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.cost - b.cost || a.path.length - b.path.length);
+    found.push(candidates.shift());
+  }
+
+  result.paths = found.map(toPath);
+  return result;
+}
+
+/**
+ * 二叉堆实现的 Dijkstra，跳过删除的节点与边
+ * @returns {Object|null} { path: 下标数组, cost }
+ * @private
+ */
+function dijkstra(adjacency, source, target, removedNodes, removedEdges) {
+  const n = adjacency.length;
+  const distance = new Float64Array(n).fill(Infinity);
+  const previous = new Int32Array(n).fill(-1);
+  const settled = new Uint8Array(n);
+  const heap = createMinHeap();
+  distance[source] = 0;
+  heap.push(source, 0);
+
+  while (heap.size() > 0) {
+    const v = heap.pop();
+    if (settled[v]) continue;
+    settled[v] = 1;
+    if (v === target) break;
+
+    adjacency[v].forEach((cost, w) => {
+      if (settled[w] || removedNodes[w] || removedEdges.has(edgeKey(v, w))) return;
+      const next = distance[v] + cost;
+      if (next < distance[w]) {
+        distance[w] = next;
+        previous[w] = v;
+        heap.push(w, next);
+      }
+    });
+  }
+
+  if (!Number.isFinite(distance[target])) return null;
+  const path = [target];
+  while (path[0] !== source) path.unshift(previous[path[0]]);
+  return { path, cost: distance[target] };
+}
+
+/**
+ * @private
+ */
+function pathCost(adjacency, path) {
+  let cost = 0;
+  for (let i = 0; i < path.length - 1; i++) cost += adjacency[path[i]].get(path[i + 1]);
+  return cost;
+}
+
+/**
+ * @private
+ */
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+/**
+ * 节点 ID → 连续下标的无向邻接表（下标 → 边长），同一对节点之间的多条边取最短的一条，忽略自环
+ * @private
+ */
+function buildGraph(nodes, links, weighted) {
+  const ids = nodes.map(node => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const adjacency = ids.map(() => new Map());
+
+  links.forEach(link => {
+    const source = indexById.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const target = indexById.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (source === undefined || target === undefined || source === target) return;
+    const cost = weighted ? 1 / (Number(link.weight) > 0 ? Number(link.weight) : 1) : 1;
+    if (!(adjacency[source].get(target) <= cost)) {
+      adjacency[source].set(target, cost);
+      adjacency[target].set(source, cost);
+    }
+  });
+
+  return { ids, indexById, adjacency };
+}
+
+export default {
+  MAX_PATH_COUNT,
+  findShortestPaths
+};
@@ -0,0 +1,233 @@
+/**
+ * 论文统计导出 - 图表的 SVG / PNG / CSV 导出，以及完整数据集的 JSON / 多表 CSV 压缩包
+ * 图表是带 scoped 样式的 D3 SVG，导出前需要把计算后的样式写回元素上
+ */
+
+import JSZip from 'jszip';
+import { toCSV } from './download';
+import { renderFigurePNG } from './networkFigure';
+
+// 导出 SVG 时写入元素的样式属性（其余属性不影响图表外观）
+const INLINED_STYLE_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline',
+  'display',
+  'visibility'
+];
+const CHART_TITLE_HEIGHT = 32;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const TIMELINE_COLUMNS = [
+  { key: 'year', label: 'year' },
+  { key: 'paperCount', label: 'paper_count' },
+  { key: 'growth_rate', label: 'growth_rate' }
+];
+const HISTOGRAM_COLUMNS = [
+  { key: 'bin_range', label: 'bin_range' },
+  { key: 'bin_start', label: 'bin_start' },
+  { key: 'bin_end', label: 'bin_end' },
+  { key: 'count', label: 'count' },
+  { key: 'percentage', label: 'percentage' }
+];
+
+/**
+ * 把页面上的图表序列化为独立的 SVG 文件
+ * @param {SVGSVGElement} svgElement - 图表根元素
+ * @param {Object} options - { title }：绘制在图表上方的标题，为空时不绘制
+ * @returns {Object} { svg, width, height }（尺寸为 CSS 像素）
+ */
+export function serializeChartSVG(svgElement, options = {}) {
+  const { title = '' } = options;
+  const width = Math.round(Number(svgElement.getAttribute('width')) || svgElement.clientWidth);
+  const chartHeight = Math.round(Number(svgElement.getAttribute('height')) || svgElement.clientHeight);
+  const offsetY = title ? CHART_TITLE_HEIGHT : 0;
+  const height = chartHeight + offsetY;
+
+  const clone = svgElement.cloneNode(true);
+  inlineComputedStyles(svgElement, clone);
+
+  const root = document.createElementNS(SVG_NS, 'svg');
+  root.setAttribute('xmlns', SVG_NS);
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  root.setAttribute('font-family', 'Helvetica, Arial, sans-serif');
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', '#ffffff');
+  root.appendChild(background);
+
+  if (title) {
+    const heading = document.createElementNS(SVG_NS, 'text');
+    heading.setAttribute('x', 16);
+    heading.setAttribute('y', 22);
+    heading.setAttribute('font-size', 15);
+    heading.setAttribute('font-weight', 'bold');
+    heading.setAttribute('fill', '#2c3e50');
+    heading.textContent = title;
+    root.appendChild(heading);
+  }
+
+  const body = document.createElementNS(SVG_NS, 'g');
+  body.setAttribute('transform', `translate(0, ${offsetY})`);
+  Array.from(clone.childNodes).forEach(child => body.appendChild(child));
+  root.appendChild(body);
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(root)}`;
+  return { svg, width, height };
+}
+
+/**
+ * 把图表 SVG 栅格化为 PNG
+ * @param {Object} chart - serializeChartSVG 的结果
+ * @param {number} dpi - 分辨率，96 为屏幕原始尺寸
+ * @returns {Promise<Blob>}
+ */
+export function renderChartPNG(chart, dpi = 300) {
+  return renderFigurePNG(chart.svg, { width: chart.width / 96, height: chart.height / 96, dpi });
+}
+
+/**
+ * 时间线数据 → CSV（year, paper_count, growth_rate）
+ * @param {Array} timeline - [{ year, paperCount, growth_rate }]
+ * @returns {string}
+ */
+export function timelineToCSV(timeline) {
+  return toCSV(timeline, TIMELINE_COLUMNS);
+}
+
+/**
+ * 直方图区间 → CSV（bin_range, bin_start, bin_end, count, percentage），无上界的区间 bin_end 留空
+ * @param {Array} bins - [{ bin_range, bin_start, bin_end, count, percentage }]
+ * @returns {string}
+ */
+export function histogramToCSV(bins) {
+  return toCSV(bins.map(toHistogramRow), HISTOGRAM_COLUMNS);
+}
+
+/**
+ * 各年份直方图 → 一张长表 CSV（year 列在前）
+ * @param {Object} histogramByYear - { [year]: bins }
+ * @returns {string}
+ */
+export function histogramByYearToCSV(histogramByYear) {
+  const rows = [];
+  Object.keys(histogramByYear)
+    .sort((a, b) => Number(a) - Number(b))
+    .forEach(year => {
+      histogramByYear[year].forEach(bin => rows.push({ year: Number(year), ...toHistogramRow(bin) }));
+    });
+  return toCSV(rows, [{ key: 'year', label: 'year' }, ...HISTOGRAM_COLUMNS]);
+}
+
+/**
+ * 汇总页面上的统计数据，作为完整数据集导出
+ * @param {Object} data - { timeline, globalHistogram, histogramByYear, metadata, filters }
+ * @returns {Object} 可直接序列化为 JSON 的数据集
+ */
+export function buildStatisticsDataset(data) {
+  const { timeline = [], globalHistogram = [], histogramByYear = {}, metadata = null, filters = {} } = data;
+  return {
+    exportedAt: new Date().toISOString(),
+    filters,
+    metadata,
+    timeline,
+    globalHistogram,
+    histogramByYear
+  };
+}
+
+/**
+ * 把完整数据集打包为多张 CSV 表组成的 zip
+ * timeline.csv、histogram_all_years.csv、histogram_by_year.csv、metadata.csv（键值表，包含筛选条件）
+ * @param {Object} dataset - buildStatisticsDataset 的结果
+ * @returns {Promise<Blob>}
+ */
+export function buildStatisticsZip(dataset) {
+  const zip = new JSZip();
+  zip.file('timeline.csv', timelineToCSV(dataset.timeline));
+  zip.file('histogram_all_years.csv', histogramToCSV(dataset.globalHistogram));
+  zip.file('histogram_by_year.csv', histogramByYearToCSV(dataset.histogramByYear));
+  zip.file('metadata.csv', toCSV(metadataRows(dataset), [
+    { key: 'key', label: 'key' },
+    { key: 'value', label: 'value' }
+  ]));
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * 按文档顺序把源 SVG 中每个元素的计算样式写入克隆元素的 style 属性
+ * @private
+ */
+function inlineComputedStyles(source, clone) {
+  const sourceElements = [source, ...source.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+  sourceElements.forEach((element, index) => {
+    const target = cloneElements[index];
+    if (!target) return;
+    const computed = window.getComputedStyle(element);
+    const style = INLINED_STYLE_PROPERTIES
+      .map(property => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value !== '')
+      .map(([property, value]) => `${property}:${value}`)
+      .join(';');
+    target.setAttribute('style', style);
+    target.removeAttribute('class');
+  });
+}
+
+/**
+ * @private
+ */
+function toHistogramRow(bin) {
+  return {
+    bin_range: bin.bin_range,
+    bin_start: bin.bin_start,
+    bin_end: Number.isFinite(bin.bin_end) ? bin.bin_end : '',
+    count: bin.count,
+    percentage: bin.percentage
+  };
+}
+
+/**
+ * 元数据与筛选条件 → 键值行，嵌套对象展开为 "year_range.min"，数组以分号连接
+ * @private
+ */
+function metadataRows(dataset) {
+  const rows = [{ key: 'exported_at', value: dataset.exportedAt }];
+  const append = (prefix, value) => {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      rows.push({ key: prefix, value: value.join('; ') });
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, nested]) => append(`${prefix}.${key}`, nested));
+    } else {
+      rows.push({ key: prefix, value });
+    }
+  };
+  Object.entries(dataset.metadata || {}).forEach(([key, value]) => append(key, value));
+  Object.entries(dataset.filters || {}).forEach(([key, value]) => append(`filter.${key}`, value));
+  return rows;
+}
+
+export default {
+  serializeChartSVG,
+  renderChartPNG,
+  timelineToCSV,
+  histogramToCSV,
+  histogramByYearToCSV,
+  buildStatisticsDataset,
+  buildStatisticsZip
+};
@@ -0,0 +1,457 @@
+/**
+ * 合成学术数据生成器
+ * 用固定种子生成论文、作者、引用与合作关系，结构与真实数据相近：
+ * 引用与合作都按优先连接（富者愈富）产生，作者按课题组聚成社区。
+ * 另提供无标度、小世界两种拓扑的网络生成器，供渲染基准测试使用
+ */
+
+import {
+  createSeededRandom,
+  randomInt,
+  randomPick,
+  randomWeightedIndex,
+  randomLogNormal,
+  shuffleInPlace
+} from './seededRandom';
+
+export const DISCIPLINES = [
+  'Computer Science',
+  'Machine Learning',
+  'Artificial Intelligence',
+  'Natural Language Processing',
+  'Deep Learning',
+  'Physics',
+  'Mathematics',
+  'Biology'
+];
+
+// 与 FilterPanel 中的主题 ID 选项对应
+const DISCIPLINE_TOPIC_IDS = {
+  'Machine Learning': 'T10001',
+  'Artificial Intelligence': 'T10002'
+};
+
+// 计算机相关学科出现得更频繁
+const DISCIPLINE_WEIGHTS = [6, 5, 4, 3, 4, 1, 1, 1];
+
+const TOPICS = {
+  'Computer Science': ['Algorithms', 'Distributed Systems', 'Database Systems', 'Software Engineering', 'Cybersecurity'],
+  'Machine Learning': ['Representation Learning', 'Optimization', 'Bayesian Methods', 'Reinforcement Learning'],
+  'Artificial Intelligence': ['Knowledge Graphs', 'Planning', 'Multi-Agent Systems', 'Reasoning'],
+  'Natural Language Processing': ['Machine Translation', 'Question Answering', 'Language Models', 'Information Extraction'],
+  'Deep Learning': ['Computer Vision', 'Graph Neural Networks', 'Transformers', 'Generative Models'],
+  'Physics': ['Quantum Computing', 'Condensed Matter', 'Statistical Physics'],
+  'Mathematics': ['Graph Theory', 'Numerical Analysis', 'Probability Theory'],
+  'Biology': ['Bioinformatics', 'Genomics', 'Computational Biology']
+};
+
+const UNIVERSITIES = [
+  'Tsinghua University',
+  'Peking University',
+  'Zhejiang University',
+  'Shanghai Jiao Tong University',
+  'Fudan University',
+  'Massachusetts Institute of Technology',
+  'Stanford University',
+  'Carnegie Mellon University',
+  'University of Oxford',
+  'ETH Zurich',
+  'University of Toronto',
+  'National University of Singapore'
+];
+
+const VENUES = ['NeurIPS', 'ICML', 'ICLR', 'ACL', 'EMNLP', 'CVPR', 'KDD', 'WWW', 'AAAI', 'IJCAI', 'SIGMOD', 'Nature', 'Science', 'arXiv'];
+
+const TITLE_ADJECTIVES = ['Scalable', 'Efficient', 'Robust', 'Interpretable', 'Adaptive', 'Self-Supervised', 'Hierarchical', 'Sparse', 'Federated', 'Contrastive', 'Probabilistic', 'Lightweight'];
+const TITLE_METHODS = ['Attention Networks', 'Graph Embeddings', 'Transformers', 'Kernel Methods', 'Diffusion Models', 'Policy Gradients', 'Matrix Factorization', 'Message Passing', 'Variational Inference', 'Random Walks', 'Contrastive Pretraining', 'Mixture of Experts'];
+const TITLE_TASKS = ['Link Prediction', 'Text Classification', 'Image Segmentation', 'Citation Recommendation', 'Community Detection', 'Question Answering', 'Molecule Generation', 'Anomaly Detection', 'Entity Resolution', 'Time Series Forecasting', 'Program Synthesis', 'Protein Folding'];
+
+const FIRST_NAMES = ['Wei', 'Jing', 'Li', 'Xin', 'Hao', 'Yan', 'Min', 'Jun', 'Anna', 'David', 'Maria', 'James', 'Sofia', 'Lukas', 'Priya', 'Kenji', 'Elena', 'Omar', 'Chloe', 'Ravi', 'Sara', 'Tom', 'Yuki', 'Ivan'];
+const LAST_NAMES = ['Wang', 'Zhang', 'Liu', 'Chen', 'Yang', 'Zhao', 'Huang', 'Zhou', 'Wu', 'Smith', 'Müller', 'Garcia', 'Kim', 'Nguyen', 'Rossi', 'Tanaka', 'Patel', 'Novak', 'Dubois', 'Johnson', 'Silva', 'Cohen', 'Larsen', 'Ivanova'];
+
+export const DEFAULT_SYNTHETIC_OPTIONS = {
+  size: 2000,       // 论文数量
+  seed: 42,
+  yearMin: 2010,
+  yearMax: 2024
+};
+
+/**
+ * 生成一套完整的合成学术语料
+ * @param {Object} options - { size, seed, yearMin, yearMax }
+ * @returns {Object} { papers, authors, options }
+ *   papers: [{ id, title, abstract, year, citationCount, venue, university, discipline, topicId, topics, authorIds, references, citedBy }]
+ *   authors: [{ id, name, orcid, university, community, affiliations, paperIds }]
+ */
+export function generateSyntheticCorpus(options = {}) {
+  const settings = { ...DEFAULT_SYNTHETIC_OPTIONS, ...options };
+  const size = Math.max(10, Math.floor(settings.size));
+  const random = createSeededRandom(`corpus:${settings.seed}`);
+
+  const authors = generateAuthors(random, Math.max(5, Math.round(size * 0.6)), settings);
+  const papers = generatePapers(random, size, settings);
+
+  assignAuthorship(random, papers, authors);
+  assignCitations(random, papers, settings);
+
+  return { papers, authors, options: { ...settings, size } };
+}
+
+/**
+ * 生成作者与课题组（社区）
+ * @private
+ */
+function generateAuthors(random, count, settings) {
+  const communityCount = Math.max(2, Math.round(Math.sqrt(count) / 2));
+  const communityUniversities = Array.from({ length: communityCount }, () => randomPick(random, UNIVERSITIES));
+  // 课题组规模不均匀
+  const communityWeights = Array.from({ length: communityCount }, () => randomLogNormal(random, 0, 0.8));
+  const communityTotal = communityWeights.reduce((sum, w) => sum + w, 0);
+
+  const authors = [];
+  for (let i = 0; i < count; i++) {
+    const community = randomWeightedIndex(random, communityWeights, communityTotal);
+    const university = communityUniversities[community];
+    authors.push({
+      id: `https://openalex.org/A${5000000000 + i * 7919}`,
+      name: `${randomPick(random, FIRST_NAMES)} ${String.fromCharCode(65 + randomInt(random, 0, 25))}. ${randomPick(random, LAST_NAMES)}`,
+      orcid: `https://orcid.org/0000-000${randomInt(random, 1, 3)}-${randomInt(random, 1000, 9999)}-${randomInt(random, 1000, 9999)}`,
+      university,
+      community,
+      affiliations: generateAffiliationHistory(random, university, settings),
+      paperIds: []
+    });
+  }
+  return authors;
+}
+
+/**
+ * 生成从早到晚的任职经历，最后一段为当前机构
+ * @private
+ */
+function generateAffiliationHistory(random, currentUniversity, settings) {
+  const previousCount = randomInt(random, 0, 2);
+  const history = [];
+  let start = settings.yearMin - randomInt(random, 0, 8);
+
+  for (let i = 0; i < previousCount; i++) {
+    const end = start + randomInt(random, 2, 5);
+    history.push({ institution: randomPick(random, UNIVERSITIES), start_year: start, end_year: end });
+    start = end;
+  }
+  history.push({ institution: currentUniversity, start_year: start, end_year: null });
+  return history;
+}
+
+/**
+ * 生成论文，按年份升序排列（发表数量逐年增长）
+ * @private
+ */
+function generatePapers(random, count, settings) {
+  const years = [];
+  const yearWeights = [];
+  for (let year = settings.yearMin; year <= settings.yearMax; year++) {
+    years.push(year);
+    yearWeights.push(Math.pow(1.15, year - settings.yearMin));
+  }
+  const yearTotal = yearWeights.reduce((sum, w) => sum + w, 0);
+  const disciplineTotal = DISCIPLINE_WEIGHTS.reduce((sum, w) => sum + w, 0);
+
+  const papers = [];
+  for (let i = 0; i < count; i++) {
+    const discipline = DISCIPLINES[randomWeightedIndex(random, DISCIPLINE_WEIGHTS, disciplineTotal)];
+    const topics = shuffleInPlace(random, [...TOPICS[discipline]]).slice(0, randomInt(random, 1, 3));
+    const title = `${randomPick(random, TITLE_ADJECTIVES)} ${randomPick(random, TITLE_METHODS)} for ${randomPick(random, TITLE_TASKS)}`;
+
+    papers.push({
+      id: null,
+      title,
+      abstract: buildAbstract(random, title, topics),
+      year: years[randomWeightedIndex(random, yearWeights, yearTotal)],
+      citationCount: 0,
+      venue: randomPick(random, VENUES),
+      university: null,
+      discipline,
+      topicId: DISCIPLINE_TOPIC_IDS[discipline] || null,
+      topics,
+      authorIds: [],
+      references: [],
+      citedBy: 0
+    });
+  }
+
+  // 按年份排序后再分配 ID，保证引用只指向更早（或同年）的论文
+  papers.sort((a, b) => a.year - b.year);
+  papers.forEach((paper, index) => {
+    paper.id = `https://openalex.org/W${2000000000 + index * 104729}`;
+  });
+  return papers;
+}
+
+/**
+ * @private
+ */
+function buildAbstract(random, title, topics) {
+  const focus = topics.join(', ').toLowerCase();
+  const gain = randomInt(random, 3, 40);
+  return `We study ${title.toLowerCase()}. Building on recent advances in ${focus}, ` +
+    `we propose a method that improves over strong baselines by ${gain}% on standard benchmarks. ` +
+    'Extensive experiments and ablations demonstrate the effectiveness and scalability of the approach.';
+}
+
+/**
+ * 为论文分配作者：大部分合作者来自同一课题组，高产作者更容易被选中
+ * @private
+ */
+function assignAuthorship(random, papers, authors) {
+  // 每个作者初始出现一次，每发表一篇再追加一次，均匀抽取即实现优先连接
+  const poolByCommunity = new Map();
+  const globalPool = [];
+  authors.forEach((author, index) => {
+    if (!poolByCommunity.has(author.community)) poolByCommunity.set(author.community, []);
+    poolByCommunity.get(author.community).push(index);
+    globalPool.push(index);
+  });
+
+  papers.forEach(paper => {
+    const leadIndex = randomPick(random, globalPool);
+    const lead = authors[leadIndex];
+    const communityPool = poolByCommunity.get(lead.community);
+    const teamSize = randomInt(random, 1, 5);
+    const team = new Set([leadIndex]);
+
+    let attempts = 0;
+    while (team.size < teamSize && attempts < teamSize * 4) {
+      const pool = random() < 0.85 ? communityPool : globalPool;
+      team.add(randomPick(random, pool));
+      attempts++;
+    }
+
+    team.forEach(index => {
+      const author = authors[index];
+      paper.authorIds.push(author.id);
+      author.paperIds.push(paper.id);
+      poolByCommunity.get(author.community).push(index);
+      globalPool.push(index);
+    });
+    paper.university = lead.university;
+  });
+}
+
+/**
+ * 生成引用关系：每篇论文引用若干更早的论文，高被引论文、同学科论文与近期论文更容易被引用
+ * @private
+ */
+function assignCitations(random, papers, settings) {
+  const globalPool = [];
+  const poolByDiscipline = new Map(DISCIPLINES.map(d => [d, []]));
+
+  papers.forEach((paper, index) => {
+    if (globalPool.length > 0) {
+      const referenceCount = Math.min(index, randomInt(random, 2, 12));
+      // 近期窗口：约最近 15% 的论文
+      const recentStart = Math.floor(index * 0.85);
+      const references = new Set();
+      let attempts = 0;
+
+      while (references.size < referenceCount && attempts < referenceCount * 4) {
+        const roll = random();
+        const samePool = poolByDiscipline.get(paper.discipline);
+        if (roll < 0.35) {
+          references.add(randomInt(random, recentStart, index - 1));
+        } else {
+          const pool = samePool.length > 0 && roll < 0.8 ? samePool : globalPool;
+          references.add(randomPick(random, pool));
+        }
+        attempts++;
+      }
+
+      references.forEach(targetIndex => {
+        const target = papers[targetIndex];
+        paper.references.push(target.id);
+        target.citedBy++;
+        globalPool.push(targetIndex);
+        poolByDiscipline.get(target.discipline).push(targetIndex);
+      });
+    }
+
+    globalPool.push(index);
+    poolByDiscipline.get(paper.discipline).push(index);
+  });
+
+  // 总被引数 = 语料内被引 + 语料外被引（随论文年龄增长的重尾分布）
+  papers.forEach(paper => {
+    const age = settings.yearMax - paper.year + 1;
+    paper.citationCount = paper.citedBy * 3 + Math.floor(randomLogNormal(random, 0.8, 1.1) * age);
+  });
+}
+
+/**
+ * 生成无标度网络（Barabási–Albert 优先连接），输出与后端接口相同的 { nodes, edges } 结构
+ * 节点按加入顺序分配年份，引用方向总是由新论文指向旧论文
+ * @param {Object} options - { nodeCount, edgesPerNode, networkType, seed, yearMin, yearMax }
+ * @returns {Object} { nodes, edges }
+ */
+export function generateScaleFreeGraph(options = {}) {
+  const {
+    nodeCount = 1000,
+    edgesPerNode = 2,
+    networkType = 'citation',
+    seed = DEFAULT_SYNTHETIC_OPTIONS.seed
+  } = options;
+  const random = createSeededRandom(`scale-free:${networkType}:${nodeCount}:${seed}`);
+  const m = Math.max(1, Math.min(edgesPerNode, nodeCount - 1));
+
+  // 每条边的两个端点都追加到列表中，均匀抽取即按度数成比例
+  const endpoints = [];
+  const edgePairs = [];
+  for (let i = 1; i < nodeCount; i++) {
+    const targets = new Set();
+    const wanted = Math.min(m, i);
+    let attempts = 0;
+    while (targets.size < wanted && attempts < wanted * 5) {
+      targets.add(endpoints.length > 0 && random() < 0.9 ? randomPick(random, endpoints) : randomInt(random, 0, i - 1));
+      attempts++;
+    }
+    targets.forEach(target => {
+      edgePairs.push([i, target]);
+      endpoints.push(i, target);
+    });
+  }
+
+  return buildSyntheticGraph(random, nodeCount, edgePairs, networkType, {
+    ...options,
+    communityOf: () => randomInt(random, 0, Math.max(1, Math.round(Math.sqrt(nodeCount) / 4)) - 1)
+  });
+}
+
+/**
+ * 生成小世界网络（Watts–Strogatz：环形格点 + 随机重连）
+ * @param {Object} options - { nodeCount, neighbors, rewireProbability, networkType, seed, yearMin, yearMax }
+ * @returns {Object} { nodes, edges }
+ */
+export function generateSmallWorldGraph(options = {}) {
+  const {
+    nodeCount = 1000,
+    neighbors = 4,
+    rewireProbability = 0.1,
+    networkType = 'citation',
+    seed = DEFAULT_SYNTHETIC_OPTIONS.seed
+  } = options;
+  const random = createSeededRandom(`small-world:${networkType}:${nodeCount}:${seed}`);
+  const half = Math.max(1, Math.floor(neighbors / 2));
+
+  const existing = new Set();
+  const edgePairs = [];
+  const pairKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+  for (let i = 0; i < nodeCount; i++) {
+    for (let offset = 1; offset <= half; offset++) {
+      let j = (i + offset) % nodeCount;
+      if (random() < rewireProbability) {
+        let attempts = 0;
+        do {
+          j = randomInt(random, 0, nodeCount - 1);
+          attempts++;
+        } while ((j === i || existing.has(pairKey(i, j))) && attempts < 10);
+      }
+      if (j === i || existing.has(pairKey(i, j))) continue;
+      existing.add(pairKey(i, j));
+      // 引用方向：新（下标大）→ 旧（下标小）
+      edgePairs.push(i > j ? [i, j] : [j, i]);
+    }
+  }
+
+  // 环上相邻的节点属于同一社区
+  const communitySize = Math.max(10, Math.round(nodeCount / Math.max(2, Math.round(Math.sqrt(nodeCount) / 4))));
+  return buildSyntheticGraph(random, nodeCount, edgePairs, networkType, {
+    ...options,
+    communityOf: index => Math.floor(index / communitySize)
+  });
+}
+
+/**
+ * 将拓扑结构装配为带有真实属性分布的节点与边
+ * @private
+ */
+function buildSyntheticGraph(random, nodeCount, edgePairs, networkType, options) {
+  const yearMin = options.yearMin || DEFAULT_SYNTHETIC_OPTIONS.yearMin;
+  const yearMax = options.yearMax || DEFAULT_SYNTHETIC_OPTIONS.yearMax;
+  const years = assignYearsByOrder(nodeCount, yearMin, yearMax);
+
+  const inDegree = new Array(nodeCount).fill(0);
+  const degree = new Array(nodeCount).fill(0);
+  edgePairs.forEach(([source, target]) => {
+    inDegree[target]++;
+    degree[source]++;
+    degree[target]++;
+  });
+
+  const idPrefix = networkType === 'citation' ? 'https://openalex.org/W' : 'https://openalex.org/A';
+  const idOf = index => `${idPrefix}${3000000000 + index * 7919}`;
+
+  const nodes = [];
+  for (let i = 0; i < nodeCount; i++) {
+    if (networkType === 'citation') {
+      const title = `${randomPick(random, TITLE_ADJECTIVES)} ${randomPick(random, TITLE_METHODS)} for ${randomPick(random, TITLE_TASKS)}`;
+      const age = yearMax - years[i] + 1;
+      nodes.push({
+        id: idOf(i),
+        label: title,
+        node_type: 'paper',
+        metadata: {
+          title,
+          year: years[i],
+          citation_count: inDegree[i] * 3 + Math.floor(randomLogNormal(random, 0.8, 1.1) * age),
+          venue: randomPick(random, VENUES),
+          url: ''
+        }
+      });
+    } else {
+      const name = `${randomPick(random, FIRST_NAMES)} ${String.fromCharCode(65 + randomInt(random, 0, 25))}. ${randomPick(random, LAST_NAMES)}`;
+      nodes.push({
+        id: idOf(i),
+        label: name,
+        node_type: 'author',
+        community: options.communityOf(i),
+        metadata: {
+          name,
+          orcid: '',
+          paper_count: degree[i] + Math.floor(randomLogNormal(random, 1, 0.9))
+        }
+      });
+    }
+  }
+
+  const edges = edgePairs.map(([source, target]) => (
+    networkType === 'citation'
+      ? { source: idOf(source), target: idOf(target), edge_type: 'cites', weight: 1, metadata: { citation_type: 'direct' } }
+      : { source: idOf(source), target: idOf(target), weight: 1 + Math.floor(randomLogNormal(random, 0, 0.8)), papers: [] }
+  ));
+
+  return { nodes, edges };
+}
+
+/**
+ * 按加入顺序分配年份：越靠后的节点越新，每年数量约增长 15%
+ * @private
+ */
+function assignYearsByOrder(nodeCount, yearMin, yearMax) {
+  const weights = [];
+  for (let year = yearMin; year <= yearMax; year++) {
+    weights.push(Math.pow(1.15, year - yearMin));
+  }
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  const years = new Array(nodeCount);
+  let yearIndex = 0;
+  let cumulative = weights[0] / total;
+  for (let i = 0; i < nodeCount; i++) {
+    while ((i + 1) / nodeCount > cumulative && yearIndex < weights.length - 1) {
+      yearIndex++;
+      cumulative += weights[yearIndex] / total;
+    }
+    years[i] = yearMin + yearIndex;
+  }
+  return years;
+}
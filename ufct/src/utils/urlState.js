@@ -0,0 +1,216 @@
+/**
+ * URL 状态 - 把视图的筛选条件、选中节点、视口与选中年份写入路由 query，便于分享链接
+ * 筛选条件只写入与默认值不同的字段，字段类型取自默认值（数字、字符串或字符串数组）
+ *
+ * query 中的保留字段：
+ * - node：选中节点 ID
+ * - view：视口，"x,y,k"（画布中心的图坐标与缩放比例）
+ * - year：论文统计页选中的年份
+ * - preset / size / color / damping / community / components / min_component / component_layout / core_by / min_core /
+ *   derived / derived_min：网络图的显示设置（优化预设、节点大小与颜色编码的指标、PageRank 阻尼系数、社区发现算法、
+ *   连通分量筛选、最小分量规模、分量布局、核分解的度量与保留的最小核数、派生网络及其最小边权重）
+ */
+
+/**
+ * 网络图的默认显示设置
+ */
+export const DEFAULT_DISPLAY = {
+  preset: 'AUTO',
+  sizeBy: 'citations',
+  colorBy: 'citations',
+  damping: 0.85,
+  communityMethod: 'leiden',
+  componentFilter: 'all',
+  minComponentSize: 3,
+  componentLayout: 'force',
+  coreMetric: 'degree',
+  minCore: 0,
+  derivedNetwork: 'none',
+  derivedMinWeight: 1
+};
+
+// 显示设置字段 → query 字段
+const DISPLAY_QUERY_KEYS = {
+  preset: 'preset',
+  sizeBy: 'size',
+  colorBy: 'color',
+  damping: 'damping',
+  communityMethod: 'community',
+  componentFilter: 'components',
+  minComponentSize: 'min_component',
+  componentLayout: 'component_layout',
+  coreMetric: 'core_by',
+  minCore: 'min_core',
+  derivedNetwork: 'derived',
+  derivedMinWeight: 'derived_min'
+};
+
+/**
+ * 筛选条件 → query 补丁；等于默认值的字段为 null（合并时删除）
+ * @param {Object} filters - 当前筛选条件
+ * @param {Object} defaults - 默认筛选条件，只处理其中出现的字段
+ * @returns {Object}
+ */
+export function filtersToQuery(filters, defaults) {
+  const query = {};
+  Object.keys(defaults).forEach(key => {
+    const value = filters[key] ?? defaults[key];
+    const encoded = encodeValue(value);
+    query[key] = encoded === encodeValue(defaults[key]) ? null : encoded;
+  });
+  return query;
+}
+
+/**
+ * query → 筛选条件；缺失或无法解析的字段取默认值
+ * @param {Object} query - route.query
+ * @param {Object} defaults - 默认筛选条件
+ * @returns {Object}
+ */
+export function filtersFromQuery(query, defaults) {
+  const filters = { ...defaults };
+  Object.keys(defaults).forEach(key => {
+    const raw = getQueryValue(query[key]);
+    if (raw === null) return;
+    const fallback = defaults[key];
+    if (Array.isArray(fallback)) {
+      filters[key] = raw === '' ? [] : raw.split(',').map(item => item.trim()).filter(Boolean);
+    } else if (typeof fallback === 'number') {
+      const number = Number(raw);
+      if (raw !== '' && Number.isFinite(number)) filters[key] = number;
+    } else {
+      filters[key] = raw;
+    }
+  });
+  return filters;
+}
+
+/**
+ * 两组筛选条件在默认值涉及的字段上是否一致
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object} defaults
+ * @returns {boolean}
+ */
+export function isSameFilters(a, b, defaults) {
+  return Object.keys(defaults).every(key => encodeValue(a[key] ?? defaults[key]) === encodeValue(b[key] ?? defaults[key]));
+}
+
+/**
+ * 显示设置 → query 补丁；等于默认值的字段为 null（合并时删除）
+ * @param {Object} display - { preset, sizeBy, colorBy, damping, communityMethod, componentFilter, minComponentSize, componentLayout, coreMetric, minCore, derivedNetwork, derivedMinWeight }
+ * @returns {Object}
+ */
+export function displayToQuery(display) {
+  const query = {};
+  Object.entries(DISPLAY_QUERY_KEYS).forEach(([key, queryKey]) => {
+    const value = display?.[key];
+    query[queryKey] = value && value !== DEFAULT_DISPLAY[key] ? value : null;
+  });
+  return query;
+}
+
+/**
+ * query → 显示设置，缺失或无法解析的字段取默认值，数字字段按默认值的类型转换
+ * @param {Object} query - route.query
+ * @returns {Object} { preset, sizeBy, colorBy, damping, communityMethod, componentFilter, minComponentSize, componentLayout, coreMetric, minCore, derivedNetwork, derivedMinWeight }
+ */
+export function displayFromQuery(query) {
+  const display = { ...DEFAULT_DISPLAY };
+  Object.entries(DISPLAY_QUERY_KEYS).forEach(([key, queryKey]) => {
+    const value = getQueryValue(query[queryKey]);
+    if (!value) return;
+    if (typeof DEFAULT_DISPLAY[key] === 'number') {
+      const number = Number(value);
+      if (Number.isFinite(number)) display[key] = number;
+    } else {
+      display[key] = value;
+    }
+  });
+  return display;
+}
+
+/**
+ * 视口 → "x,y,k"
+ * @param {Object} viewport - { x, y, k }
+ * @returns {string|null}
+ */
+export function encodeViewport(viewport) {
+  if (!viewport || ![viewport.x, viewport.y, viewport.k].every(Number.isFinite)) return null;
+  return `${viewport.x.toFixed(1)},${viewport.y.toFixed(1)},${Number(viewport.k.toPrecision(4))}`;
+}
+
+/**
+ * "x,y,k" → 视口
+ * @param {string} value
+ * @returns {Object|null} { x, y, k }
+ */
+export function decodeViewport(value) {
+  const raw = getQueryValue(value);
+  if (!raw) return null;
+  const [x, y, k] = raw.split(',').map(Number);
+  return [x, y, k].every(Number.isFinite) && k > 0 ? { x, y, k } : null;
+}
+
+/**
+ * 合并 query：补丁中的 null / undefined / 空字符串表示删除该字段
+ * @param {Object} query - 当前 route.query
+ * @param {Object} patch - 要修改的字段
+ * @returns {Object}
+ */
+export function mergeQuery(query, patch) {
+  const merged = { ...query };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') {
+      delete merged[key];
+    } else {
+      merged[key] = String(value);
+    }
+  });
+  return merged;
+}
+
+/**
+ * 两个 query 是否相同（忽略字段顺序）
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameQuery(a, b) {
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => String(a[key]) === String(b[key]));
+}
+
+/**
+ * 读取 query 字段：重复出现时取第一个值，缺失时为 null
+ * @param {string|Array|undefined} value - route.query 中的值
+ * @returns {string|null}
+ */
+export function getQueryValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value[0] : null;
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * @private
+ */
+function encodeValue(value) {
+  if (Array.isArray(value)) return value.join(',');
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+export default {
+  DEFAULT_DISPLAY,
+  filtersToQuery,
+  filtersFromQuery,
+  isSameFilters,
+  displayToQuery,
+  displayFromQuery,
+  encodeViewport,
+  decodeViewport,
+  mergeQuery,
+  isSameQuery,
+  getQueryValue
+};
@@ -4,11 +4,37 @@
  */
 
 import ForceGraph3D from 'force-graph';
+import { forceX, forceY } from 'd3';
+import { createSeededRandom } from './seededRandom';
+import { getLinkKey } from './graphUtils';
+
+// 同一节点两次单击的最大间隔（毫秒），视为双击
+const DOUBLE_CLICK_INTERVAL = 350;
+// alpha 降到该值时停止模拟并报告布局已稳定；force-graph 默认按 15 秒计时停止，迭代次数随帧率变化
+const LAYOUT_ALPHA_MIN = 0.002;
+const DEFAULT_ALPHA_DECAY = 0.0228;
+// 恢复保存的布局后模拟快速冷却，只让没有保存位置的节点就位（约 60 次迭代）
+const RESTORED_ALPHA_DECAY = 0.1;
+// 没有历史位置的节点按 ID 放到圆盘内的固定位置，半径 = 该值 × √节点数
+const INITIAL_SPACING = 20;
+// 分组布局：每组占一个圆形格子，半径 = 该值 × √组内节点数；节点以该强度被拉向格子中心
+const GROUP_SPACING = 40;
+const GROUP_STRENGTH = 0.15;
+// 强调显示（例如最短路径）时的边颜色，其余节点与边淡化
+const EMPHASIS_COLOR = '#e4572e';
+const DIMMED_NODE_COLOR = 'rgba(190, 190, 190, 0.3)';
+const DIMMED_LINK_COLOR = 'rgba(204, 204, 204, 0.2)';
 
 export class WebGLNetworkRenderer {
+  /**
+   * @param {string|HTMLElement} containerSelector - 容器选择器或容器元素
+   * @param {Object} options - 尺寸与力导向参数
+   */
   constructor(containerSelector, options = {}) {
     this.containerSelector = containerSelector;
-    this.container = document.querySelector(containerSelector);
+    this.container = typeof containerSelector === 'string'
+      ? document.querySelector(containerSelector)
+      : containerSelector;
     if (!this.container) {
       throw new Error(`Container ${containerSelector} not found`);
     }
@@ -35,10 +61,25 @@ export class WebGLNetworkRenderer {
 
     this.eventListeners = {
       nodeClick: null,
+      nodeDoubleClick: null,
+      nodeRightClick: null,
+      backgroundClick: null,
       nodeHover: null,
-      nodeUnhover: null
+      nodeUnhover: null,
+      zoomEnd: null,
+      layoutSettled: null
     };
 
+    // 恢复布局时临时固定的节点，模拟冷却后释放
+    this.pinnedNodes = null;
+    // 分组布局的格子（见 layoutGroupCells），不分组时为 null
+    this.groupCells = null;
+    // 强调显示的节点与边（见 setEmphasis），为 null 时正常显示
+    this.emphasis = null;
+
+    // force-graph 没有双击事件，记录上一次单击以识别双击
+    this.lastNodeClick = { id: null, time: 0 };
+
     this.performanceStats = {
       nodeCount: 0,
       linkCount: 0,
@@ -78,10 +119,46 @@ export class WebGLNetworkRenderer {
       }
 
       // 事件监听
-      this.graph.onNodeClick((node) => {
+      this.graph.onNodeClick((node, event) => {
         this.selectNode(node);
         if (this.eventListeners.nodeClick) {
-          this.eventListeners.nodeClick(node);
+          this.eventListeners.nodeClick(node, event);
+        }
+
+        const now = performance.now();
+        const isDoubleClick = this.lastNodeClick.id === node.id && now - this.lastNodeClick.time < DOUBLE_CLICK_INTERVAL;
+        this.lastNodeClick = isDoubleClick ? { id: null, time: 0 } : { id: node.id, time: now };
+        if (isDoubleClick && this.eventListeners.nodeDoubleClick) {
+          this.eventListeners.nodeDoubleClick(node, event);
+        }
+      });
+
+      this.graph.onNodeRightClick((node, event) => {
+        if (this.eventListeners.nodeRightClick) {
+          this.eventListeners.nodeRightClick(node, event);
+        }
+      });
+
+      this.graph.onBackgroundClick((event) => {
+        if (this.eventListeners.backgroundClick) {
+          this.eventListeners.backgroundClick(event);
+        }
+      });
+
+      // 模拟停止时释放恢复布局时固定的节点，并报告稳定后的布局
+      this.graph.d3AlphaMin(LAYOUT_ALPHA_MIN);
+      this.graph.cooldownTime(Infinity);
+      this.graph.onEngineStop(() => {
+        this.releasePinnedNodes();
+        if (this.eventListeners.layoutSettled && this.graph.graphData().nodes.length > 0) {
+          this.eventListeners.layoutSettled(this.getNodePositions());
+        }
+      });
+
+      // 缩放 / 平移结束后报告视口（画布中心的图坐标与缩放比例）
+      this.graph.onZoomEnd(({ x, y, k }) => {
+        if (this.eventListeners.zoomEnd) {
+          this.eventListeners.zoomEnd({ x, y, k });
         }
       });
 
@@ -167,6 +244,7 @@ export class WebGLNetworkRenderer {
 
   /**
    * 绘制网络图
+   * styles: { nodeRadius, nodeColor, linkColor, linkWidth, nodeGroup }，nodeGroup(node) 返回组编号时按组分格布局
    */
   render(nodes, links, styles = {}) {
     const startTime = performance.now();
@@ -188,10 +266,14 @@ export class WebGLNetworkRenderer {
       if (degreeCounts[targetId] !== undefined) degreeCounts[targetId]++;
     });
 
+    // 已在画布上的节点沿用当前位置，增量合并数据时布局不必从头开始
+    const previousPositions = this.collectNodePositions();
+
     // 构建 force-graph 数据格式
     const graphData = {
       nodes: nodes.map(node => ({
         ...node,
+        ...previousPositions.get(node.id || node.name),
         id: node.id || node.name,
         degree: degreeCounts[node.id] || 0
       })),
@@ -201,10 +283,17 @@ export class WebGLNetworkRenderer {
         target: typeof link.target === 'object' ? link.target.id : link.target
       }))
     };
+    this.groupCells = styles.nodeGroup ? this.layoutGroupCells(graphData.nodes, styles.nodeGroup) : null;
+    if (previousPositions.size > 0) {
+      this.placeNewNodesNearNeighbors(graphData);
+    }
+    this.placeNodesBySeed(graphData);
 
     if (this.graph) {
       try {
+        this.releasePinnedNodes();
         this.graph.graphData(graphData);
+        this.applyGroupForces(styles.nodeGroup);
 
         // 优化大图的力导向参数
         const nodeCount = nodes.length;
@@ -229,8 +318,9 @@ export class WebGLNetworkRenderer {
           }
         }
 
-        // 自动相机定位
-        setTimeout(() => {
+        // 自动相机定位（聚焦到某个节点时会取消）
+        clearTimeout(this.fitTimer);
+        this.fitTimer = setTimeout(() => {
           if (this.graph && this.graph.zoomToFit) {
             this.graph.zoomToFit(400);
           }
@@ -252,6 +342,194 @@ export class WebGLNetworkRenderer {
     return this;
   }
 
+  /**
+   * 当前画布上各节点的位置与速度
+   * @returns {Map<string, Object>} id → { x, y, vx, vy }
+   */
+  collectNodePositions() {
+    const positions = new Map();
+    const currentNodes = this.graph ? this.graph.graphData().nodes : (this.simulation ? this.simulation.nodes() : []);
+    currentNodes.forEach(node => {
+      if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+        positions.set(node.id, { x: node.x, y: node.y, vx: node.vx, vy: node.vy });
+      }
+    });
+    return positions;
+  }
+
+  /**
+   * 当前布局，用于保存到工作区或布局缓存
+   * @returns {Object} id → [x, y]（保留一位小数）
+   */
+  getNodePositions() {
+    const positions = {};
+    this.collectNodePositions().forEach(({ x, y }, id) => {
+      positions[id] = [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+    });
+    return positions;
+  }
+
+  /**
+   * 把节点移动到保存的位置，模拟以冷却状态启动：这些节点固定到模拟停止，
+   * 没有保存位置的节点在邻居旁边就位（拖拽节点时模拟照常重新启动）
+   * @param {Object} positions - id → [x, y]
+   * @returns {number} 实际放置的节点数
+   */
+  setNodePositions(positions) {
+    if (!this.graph) return 0;
+    this.releasePinnedNodes();
+
+    const graphData = this.graph.graphData();
+    const pinned = [];
+    const unplaced = [];
+    graphData.nodes.forEach(node => {
+      const position = positions[node.id];
+      if (!position) {
+        unplaced.push(node);
+        return;
+      }
+      [node.x, node.y] = position;
+      node.fx = node.x;
+      node.fy = node.y;
+      node.vx = 0;
+      node.vy = 0;
+      pinned.push(node);
+    });
+    if (pinned.length === 0) return 0;
+
+    unplaced.forEach(node => {
+      node.x = undefined;
+      node.y = undefined;
+    });
+    this.placeNewNodesNearNeighbors(graphData);
+    this.placeNodesBySeed(graphData);
+
+    this.pinnedNodes = pinned;
+    this.graph.d3AlphaDecay(RESTORED_ALPHA_DECAY);
+    this.graph.d3ReheatSimulation();
+    return pinned.length;
+  }
+
+  /**
+   * 释放 setNodePositions 固定的节点，恢复正常的冷却速度
+   */
+  releasePinnedNodes() {
+    if (!this.pinnedNodes) return;
+    this.pinnedNodes.forEach(node => {
+      node.fx = undefined;
+      node.fy = undefined;
+    });
+    this.pinnedNodes = null;
+    this.graph.d3AlphaDecay(DEFAULT_ALPHA_DECAY);
+  }
+
+  /**
+   * 新加入的节点从某个已有邻居旁边开始布局，而不是堆在画布中心
+   * 方向由节点 ID 决定，同样的数据得到同样的布局
+   */
+  placeNewNodesNearNeighbors(graphData) {
+    const nodeById = new Map(graphData.nodes.map(node => [node.id, node]));
+    const distance = this.options.linkDistance * 0.5;
+    const endId = end => (typeof end === 'object' ? end.id : end);
+
+    graphData.links.forEach(link => {
+      const source = nodeById.get(endId(link.source));
+      const target = nodeById.get(endId(link.target));
+      if (!source || !target) return;
+
+      const sourcePlaced = Number.isFinite(source.x);
+      const targetPlaced = Number.isFinite(target.x);
+      if (sourcePlaced === targetPlaced) return;
+
+      const [anchor, node] = sourcePlaced ? [source, target] : [target, source];
+      const angle = createSeededRandom(node.id)() * 2 * Math.PI;
+      node.x = anchor.x + Math.cos(angle) * distance;
+      node.y = anchor.y + Math.sin(angle) * distance;
+    });
+  }
+
+  /**
+   * 仍没有位置的节点按 ID 的哈希放到圆盘内的固定位置，
+   * 未缓存的数据集每次打开都从相同的初始布局开始
+   */
+  placeNodesBySeed(graphData) {
+    const wholeDisc = { x: 0, y: 0, r: INITIAL_SPACING * Math.sqrt(graphData.nodes.length) };
+    graphData.nodes.forEach(node => {
+      if (Number.isFinite(node.x) && Number.isFinite(node.y)) return;
+      const disc = (this.groupCells && this.groupCells.byNode.get(node.id)) || wholeDisc;
+      const random = createSeededRandom(node.id);
+      const distance = disc.r * Math.sqrt(random());
+      const angle = random() * 2 * Math.PI;
+      node.x = disc.x + Math.cos(angle) * distance;
+      node.y = disc.y + Math.sin(angle) * distance;
+    });
+  }
+
+  /**
+   * 分组布局的格子：按组的大小从大到小逐行排列（行宽约为总面积的平方根），整体以原点为中心
+   * @param {Array} nodes - 节点数组
+   * @param {Function} nodeGroup - 节点 → 组编号，返回 undefined / null 的节点不分组
+   * @returns {Object} { byNode: Map(id → { x, y, r }) }
+   */
+  layoutGroupCells(nodes, nodeGroup) {
+    const counts = new Map();
+    const groupOfNode = new Map();
+    nodes.forEach(node => {
+      const group = nodeGroup(node);
+      if (group === undefined || group === null) return;
+      groupOfNode.set(node.id, group);
+      counts.set(group, (counts.get(group) || 0) + 1);
+    });
+
+    const cells = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([group, count]) => ({ group, r: GROUP_SPACING * Math.sqrt(count) }));
+    const totalArea = cells.reduce((sum, cell) => sum + (2 * cell.r) ** 2, 0);
+    const rowWidth = Math.max(cells.length > 0 ? 2 * cells[0].r : 0, Math.sqrt(totalArea));
+
+    let x = 0;
+    let y = 0;
+    let rowHeight = 0;
+    let width = 0;
+    cells.forEach(cell => {
+      if (x > 0 && x + 2 * cell.r > rowWidth) {
+        x = 0;
+        y += rowHeight;
+        rowHeight = 0;
+      }
+      cell.x = x + cell.r;
+      cell.y = y + cell.r;
+      x += 2 * cell.r;
+      rowHeight = Math.max(rowHeight, 2 * cell.r);
+      width = Math.max(width, x);
+    });
+
+    const height = y + rowHeight;
+    const byGroup = new Map(cells.map(cell => [
+      cell.group,
+      { x: cell.x - width / 2, y: cell.y - height / 2, r: cell.r }
+    ]));
+    const byNode = new Map();
+    groupOfNode.forEach((group, id) => byNode.set(id, byGroup.get(group)));
+    return { byNode };
+  }
+
+  /**
+   * 分组布局时把节点拉向所在格子的中心，否则移除这两个力
+   */
+  applyGroupForces(nodeGroup) {
+    if (!this.graph.d3Force) return;
+    if (!nodeGroup || !this.groupCells) {
+      this.graph.d3Force('groupX', null);
+      this.graph.d3Force('groupY', null);
+      return;
+    }
+    const cellOf = node => this.groupCells.byNode.get(node.id);
+    const strength = node => (cellOf(node) ? GROUP_STRENGTH : 0);
+    this.graph.d3Force('groupX', forceX(node => (cellOf(node) ? cellOf(node).x : 0)).strength(strength));
+    this.graph.d3Force('groupY', forceY(node => (cellOf(node) ? cellOf(node).y : 0)).strength(strength));
+  }
+
   /**
    * 降级 Canvas 渲染
    */
@@ -320,6 +598,9 @@ export class WebGLNetworkRenderer {
    * 获取节点颜色
    */
   getNodeColor(node) {
+    if (this.emphasis && !this.emphasis.nodeIds.has(node.id)) {
+      return DIMMED_NODE_COLOR;
+    }
     // 始终使用自定义样式颜色（基于引用数量）
     return this.styles.nodeColor?.(node) || '#1f77b4';
   }
@@ -336,11 +617,52 @@ export class WebGLNetworkRenderer {
     return baseSize;
   }
 
+  /**
+   * 节点在画布上的绘制半径（图坐标，不含悬停放大）
+   * force-graph 把 nodeVal 当作面积：半径 = sqrt(nodeVal) * nodeRelSize
+   */
+  getNodeRadius(node) {
+    const radius = this.styles.nodeRadius?.(node) || this.options.nodeRadius;
+    return this.graph ? Math.sqrt(radius * 2) * this.graph.nodeRelSize() : radius;
+  }
+
   /**
    * 获取链接宽度
    */
   getLinkWidth(link) {
-    return this.styles.linkWidth?.(link) || 1;
+    const width = this.styles.linkWidth?.(link) || 1;
+    return this.emphasis && this.emphasis.linkKeys.has(getLinkKey(link)) ? width * 2 + 1 : width;
+  }
+
+  /**
+   * 强调一组节点与边（例如最短路径），其余淡化
+   * @param {Object|null} emphasis - { nodeIds, links: [[sourceId, targetId]] }，边不分方向；null 时恢复正常显示
+   */
+  setEmphasis(emphasis) {
+    this.emphasis = emphasis
+      ? {
+        nodeIds: new Set(emphasis.nodeIds),
+        linkKeys: new Set(emphasis.links.flatMap(([a, b]) => [`${a}->${b}`, `${b}->${a}`]))
+      }
+      : null;
+    if (!this.graph) return;
+    this.graph.nodeColor(node => this.getNodeColor(node));
+    this.graph.linkWidth(link => this.getLinkWidth(link));
+    this.applyLinkColors();
+  }
+
+  /**
+   * 边的颜色：强调显示优先，其次是高亮节点的连接
+   */
+  applyLinkColors() {
+    if (!this.graph) return;
+    this.graph.linkColor(link => {
+      const key = getLinkKey(link);
+      if (this.emphasis) {
+        return this.emphasis.linkKeys.has(key) ? EMPHASIS_COLOR : DIMMED_LINK_COLOR;
+      }
+      return this.highlightedLinks.has(key) ? '#ff6b6b' : '#ccc';
+    });
   }
 
   /**
@@ -358,22 +680,16 @@ export class WebGLNetworkRenderer {
 
       if (sourceId === node.id) {
         this.highlightedNodes.add(targetId);
-        this.highlightedLinks.add(`${sourceId}-${targetId}`);
+        this.highlightedLinks.add(`${sourceId}->${targetId}`);
       }
       if (targetId === node.id) {
         this.highlightedNodes.add(sourceId);
-        this.highlightedLinks.add(`${sourceId}-${targetId}`);
+        this.highlightedLinks.add(`${sourceId}->${targetId}`);
       }
     });
 
     // 只更新链接颜色，不改变节点颜色
-    if (this.graph) {
-      this.graph.linkColor(link => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        return this.highlightedLinks.has(`${sourceId}-${targetId}`) ? '#ff6b6b' : '#ccc';
-      });
-    }
+    this.applyLinkColors();
   }
 
   /**
@@ -382,10 +698,7 @@ export class WebGLNetworkRenderer {
   unhighlightNode() {
     this.highlightedNodes.clear();
     this.highlightedLinks.clear();
-
-    if (this.graph) {
-      this.graph.linkColor(() => '#ccc');
-    }
+    this.applyLinkColors();
   }
 
   /**
@@ -431,6 +744,82 @@ export class WebGLNetworkRenderer {
     this.isPaused = false;
   }
 
+  /**
+   * 按 ID 查找画布上的节点
+   * @param {string} nodeId - 节点ID
+   * @returns {Object|null} force-graph 中的节点对象（带 x、y）
+   */
+  getNode(nodeId) {
+    const currentNodes = this.graph ? this.graph.graphData().nodes : this.nodes;
+    return currentNodes.find(node => node.id === nodeId) || null;
+  }
+
+  /**
+   * 将视图移动到节点并放大，同时选中并高亮其连接
+   * 刚加入的节点可能还没有坐标，最多等待布局 1 秒
+   * @param {string} nodeId - 节点ID
+   * @param {Object} options - { zoom, duration }
+   * @returns {Promise<Object|null>} 节点对象，不在画布上时为 null
+   */
+  focusNode(nodeId, options = {}) {
+    const { zoom = 4, duration = 800 } = options;
+    this.cancelAutoFit();
+
+    return new Promise(resolve => {
+      let attempts = 0;
+      const tryFocus = () => {
+        const node = this.getNode(nodeId);
+        if (!node) {
+          resolve(null);
+          return;
+        }
+        if (!Number.isFinite(node.x) && attempts++ < 10) {
+          setTimeout(tryFocus, 100);
+          return;
+        }
+        if (this.graph && this.graph.centerAt && Number.isFinite(node.x)) {
+          this.graph.centerAt(node.x, node.y, duration);
+          this.graph.zoom(zoom, duration);
+        }
+        this.selectNode(node);
+        this.highlightNode(node);
+        resolve(node);
+      };
+      tryFocus();
+    });
+  }
+
+  /**
+   * 取消 render() 之后的自动缩放，保持当前视角（例如在原地展开节点时）
+   */
+  cancelAutoFit() {
+    clearTimeout(this.fitTimer);
+    this.fitTimer = null;
+  }
+
+  /**
+   * 当前视口
+   * @returns {Object|null} { x, y, k }：画布中心的图坐标与缩放比例
+   */
+  getViewport() {
+    if (!this.graph || !this.graph.centerAt) return null;
+    const center = this.graph.centerAt();
+    return { x: center.x, y: center.y, k: this.graph.zoom() };
+  }
+
+  /**
+   * 恢复视口（取消渲染后的自动适配）
+   * @param {Object} viewport - { x, y, k }
+   * @param {number} duration - 过渡时长（毫秒）
+   */
+  setViewport(viewport, duration = 0) {
+    this.cancelAutoFit();
+    if (this.graph && this.graph.centerAt && viewport) {
+      this.graph.centerAt(viewport.x, viewport.y, duration);
+      this.graph.zoom(viewport.k, duration);
+    }
+  }
+
   /**
    * 重置缩放
    */
@@ -440,6 +829,24 @@ export class WebGLNetworkRenderer {
     }
   }
 
+  /**
+   * 当前画布上的节点与边（带布局坐标），供导出使用
+   * @returns {Object} { nodes, links }，边的 source / target 统一为节点 ID
+   */
+  getRenderedGraph() {
+    const data = this.graph
+      ? this.graph.graphData()
+      : { nodes: this.simulation ? this.simulation.nodes() : this.nodes, links: this.links };
+    return {
+      nodes: data.nodes,
+      links: data.links.map(link => ({
+        ...link,
+        source: typeof link.source === 'object' ? link.source.id : link.source,
+        target: typeof link.target === 'object' ? link.target.id : link.target
+      }))
+    };
+  }
+
   /**
    * 导出为图片
    */
@@ -463,6 +870,7 @@ export class WebGLNetworkRenderer {
    * 清除
    */
   clear() {
+    clearTimeout(this.fitTimer);
     if (this.graph) {
       this.graph.graphData({ nodes: [], links: [] });
     }
@@ -512,10 +920,20 @@ export class WebGLNetworkRenderer {
   on(eventName, callback) {
     if (eventName === 'nodeClick') {
       this.eventListeners.nodeClick = callback;
+    } else if (eventName === 'nodeDoubleClick') {
+      this.eventListeners.nodeDoubleClick = callback;
+    } else if (eventName === 'nodeRightClick') {
+      this.eventListeners.nodeRightClick = callback;
+    } else if (eventName === 'backgroundClick') {
+      this.eventListeners.backgroundClick = callback;
     } else if (eventName === 'nodeHover') {
       this.eventListeners.nodeHover = callback;
     } else if (eventName === 'nodeUnhover') {
       this.eventListeners.nodeUnhover = callback;
+    } else if (eventName === 'zoomEnd') {
+      this.eventListeners.zoomEnd = callback;
+    } else if (eventName === 'layoutSettled') {
+      this.eventListeners.layoutSettled = callback;
     }
   }
 }